@@ -0,0 +1,34 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+// Import models
+const Patient = require('./models/Patient');
+
+// Fill in search keys for patients saved before indexed search existed.
+// Safe to run more than once.
+async function backfillPatientSearch() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    await Patient.syncIndexes();
+    console.log('✅ Patient indexes synced');
+
+    let updated = 0;
+    for await (const patient of Patient.findMissingSearchKeys().cursor()) {
+      patient.setSearchKeys();
+      await Patient.updateOne({ _id: patient._id }, { $set: { search: patient.search } });
+      updated++;
+    }
+
+    console.log(`✅ Search keys added to ${updated} patients`);
+
+  } catch (error) {
+    console.error('Error:', error);
+  } finally {
+    await mongoose.disconnect();
+    process.exit(0);
+  }
+}
+
+backfillPatientSearch();
@@ -0,0 +1,171 @@
+// Authentication and permission middleware shared by the API routes
+
+const jwt = require('jsonwebtoken');
+
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Patient = require('../models/Patient');
+
+// Middleware to protect routes. Tokens of deactivated users, or issued before
+// the user's token_version was bumped (password change, log out everywhere),
+// are rejected even if they have not expired yet.
+const auth = async (req, res, next) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'No token, authorization denied'
+    });
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Only access tokens carry a user; MFA challenges are not sessions
+    if (!decoded.user) throw new Error('Not an access token');
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: error.name === 'TokenExpiredError' ? 'Token has expired' : 'Token is not valid'
+    });
+  }
+
+  try {
+    const user = await User.findOne({
+      _id: decoded.user.id,
+      tenant_id: decoded.user.tenant_id,
+      is_active: true,
+      deleted_at: null
+    });
+
+    if (!user || (decoded.user.token_version || 0) !== user.token_version) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token is not valid'
+      });
+    }
+
+    req.user = decoded.user;
+    req.authUser = user;
+    next();
+  } catch (error) {
+    console.error('Auth error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Load the caller's role once per request, reusing the user loaded by auth. Patient-role
+// users also get the ids of the patient records linked to their account, and staff
+// assigned to particular clinics get those clinic ids.
+const loadAccess = async (req) => {
+  if (req.access) return req.access;
+
+  const user = req.authUser || await User.findOne({
+    _id: req.user.id,
+    tenant_id: req.user.tenant_id,
+    is_active: true,
+    deleted_at: null
+  });
+  if (!user) return null;
+
+  const access = {
+    user,
+    role: await Role.resolveForUser(user),
+    patientIds: null,
+    clinicIds: null
+  };
+
+  if (user.role === 'patient') {
+    const patients = await Patient.find({
+      tenant_id: user.tenant_id,
+      user_id: user._id,
+      deleted_at: null
+    }).select('_id');
+    access.patientIds = patients.map(patient => patient._id);
+  } else if (user.clinic_ids && user.clinic_ids.length > 0) {
+    access.clinicIds = user.clinic_ids;
+  }
+
+  req.access = access;
+  return access;
+};
+
+const hasPermission = (req, module, action) =>
+  !!(req.access && req.access.role && req.access.role.hasPermission(module, action));
+
+// Require a permission from the caller's role matrix, e.g. requirePermission('patients', 'edit')
+const requirePermission = (module, action) => async (req, res, next) => {
+  try {
+    const access = await loadAccess(req);
+
+    if (!access) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token is not valid'
+      });
+    }
+
+    if (!hasPermission(req, module, action)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Permission check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Patient-role users only ever see records for their own patient ids
+const isPatientScoped = (req) => !!(req.access && req.access.patientIds);
+
+const ownsPatient = (req, patientId) => !isPatientScoped(req) ||
+  (!!patientId && req.access.patientIds.some(id => id.equals(patientId._id || patientId)));
+
+const patientScopeFilter = (req, field = 'patient_id') =>
+  isPatientScoped(req) ? { [field]: { $in: req.access.patientIds } } : {};
+
+// Staff with clinic assignments only see those clinics' records; staff without any
+// work across every clinic in the tenant. Patient records are shared by all clinics.
+const isClinicScoped = (req) => !!(req.access && req.access.clinicIds);
+
+const canAccessClinic = (req, clinicId) => !isClinicScoped(req) ||
+  (!!clinicId && req.access.clinicIds.some(id => id.equals(clinicId._id || clinicId)));
+
+const clinicScopeFilter = (req, field = 'clinic_id') =>
+  isClinicScoped(req) ? { [field]: { $in: req.access.clinicIds } } : {};
+
+// Reject patient-role users on staff-facing endpoints
+const staffOnly = (req, res, next) => {
+  if (isPatientScoped(req)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized'
+    });
+  }
+  next();
+};
+
+module.exports = {
+  auth,
+  loadAccess,
+  hasPermission,
+  requirePermission,
+  isPatientScoped,
+  ownsPatient,
+  patientScopeFilter,
+  isClinicScoped,
+  canAccessClinic,
+  clinicScopeFilter,
+  staffOnly
+};
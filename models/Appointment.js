@@ -1,5 +1,15 @@
 const mongoose = require('mongoose');
 
+// Allowed status changes; completed, cancelled and no_show are terminal
+const STATUS_TRANSITIONS = {
+    scheduled: ['confirmed', 'cancelled', 'no_show'],
+    confirmed: ['in_progress', 'cancelled', 'no_show'],
+    in_progress: ['completed'],
+    completed: [],
+    cancelled: [],
+    no_show: []
+};
+
 const appointmentSchema = new mongoose.Schema({
     tenant_id: {
         type: mongoose.Schema.Types.ObjectId,
@@ -21,6 +31,14 @@ const appointmentSchema = new mongoose.Schema({
         ref: 'User',
         required: true
     },
+    service_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    resource_ids: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Resource'
+    }],
     appointment_number: {
         type: String,
         required: true,
@@ -72,6 +90,30 @@ const appointmentSchema = new mongoose.Schema({
             type: Date
         }
     },
+    status_history: [{
+        from: {
+            type: String,
+            enum: Object.keys(STATUS_TRANSITIONS),
+            default: null
+        },
+        to: {
+            type: String,
+            enum: Object.keys(STATUS_TRANSITIONS),
+            required: true
+        },
+        changed_by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        changed_at: {
+            type: Date,
+            default: Date.now
+        },
+        reason: {
+            type: String,
+            trim: true
+        }
+    }],
     reminders: [{
         type: {
             type: String,
@@ -88,8 +130,36 @@ const appointmentSchema = new mongoose.Schema({
         },
         sent_at: {
             type: Date
+        },
+        attempts: {
+            type: Number,
+            default: 0
+        },
+        next_attempt_at: {
+            type: Date
+        },
+        last_error: {
+            type: String
+        },
+        failed: {
+            type: Boolean,
+            default: false
+        },
+        // Set while a dispatcher sends the reminder, so other instances skip it
+        claimed_until: {
+            type: Date,
+            default: null
         }
     }],
+    series_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AppointmentSeries',
+        default: null
+    },
+    series_index: {
+        type: Number,
+        min: 0
+    },
     created_by: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -110,9 +180,12 @@ appointmentSchema.index({ tenant_id: 1 });
 appointmentSchema.index({ clinic_id: 1 });
 appointmentSchema.index({ patient_id: 1 });
 appointmentSchema.index({ doctor_id: 1 });
+appointmentSchema.index({ resource_ids: 1, start_time: 1 });
 appointmentSchema.index({ tenant_id: 1, start_time: 1 });
 appointmentSchema.index({ tenant_id: 1, status: 1 });
 appointmentSchema.index({ tenant_id: 1, deleted_at: 1 });
+appointmentSchema.index({ series_id: 1, start_time: 1 });
+appointmentSchema.index({ 'reminders.sent': 1, 'reminders.scheduled_for': 1 });
 
 // Virtual for duration
 appointmentSchema.virtual('duration').get(function() {
@@ -159,6 +232,23 @@ appointmentSchema.statics.findByDoctor = function(tenantId, doctorId, startDate,
         .sort({ start_time: 1 });
 };
 
+appointmentSchema.statics.findByClinic = function(tenantId, clinicId, startDate, endDate) {
+    const query = {
+        tenant_id: tenantId,
+        clinic_id: clinicId,
+        deleted_at: null
+    };
+    
+    if (startDate && endDate) {
+        query.start_time = { $gte: startDate, $lte: endDate };
+    }
+    
+    return this.find(query)
+        .populate('patient_id', 'first_name last_name patient_id')
+        .populate('doctor_id', 'first_name last_name')
+        .sort({ start_time: 1 });
+};
+
 appointmentSchema.statics.findByPatient = function(tenantId, patientId) {
     return this.find({
         tenant_id: tenantId,
@@ -187,16 +277,26 @@ appointmentSchema.statics.findUpcoming = function(tenantId, doctorId = null) {
         .sort({ start_time: 1 });
 };
 
-appointmentSchema.statics.findConflicts = function(tenantId, doctorId, startTime, endTime, excludeId = null) {
+// A booking conflicts when the doctor or any of the reserved resources is already taken
+appointmentSchema.statics.findConflicts = function(tenantId, doctorId, startTime, endTime, excludeId = null, resourceIds = []) {
+    const owners = [{ doctor_id: doctorId }];
+    if (resourceIds && resourceIds.length > 0) {
+        owners.push({ resource_ids: { $in: resourceIds } });
+    }
+
     const query = {
         tenant_id: tenantId,
-        doctor_id: doctorId,
         status: { $nin: ['cancelled', 'no_show'] },
         deleted_at: null,
-        $or: [
-            { start_time: { $lt: endTime, $gte: startTime } },
-            { end_time: { $gt: startTime, $lte: endTime } },
-            { start_time: { $lte: startTime }, end_time: { $gte: endTime } }
+        $and: [
+            { $or: owners },
+            {
+                $or: [
+                    { start_time: { $lt: endTime, $gte: startTime } },
+                    { end_time: { $gt: startTime, $lte: endTime } },
+                    { start_time: { $lte: startTime }, end_time: { $gte: endTime } }
+                ]
+            }
         ]
     };
     
@@ -207,33 +307,93 @@ appointmentSchema.statics.findConflicts = function(tenantId, doctorId, startTime
     return this.find(query);
 };
 
+appointmentSchema.statics.findBySeries = function(tenantId, seriesId, fromTime = null) {
+    const query = {
+        tenant_id: tenantId,
+        series_id: seriesId,
+        deleted_at: null
+    };
+
+    if (fromTime) {
+        query.start_time = { $gte: fromTime };
+    }
+
+    return this.find(query).sort({ start_time: 1 });
+};
+
+// Atomically claim a pending reminder until leaseUntil. Resolves the
+// appointment, or null if the reminder was sent or claimed by someone else.
+// A claim left by a crashed dispatcher lapses at leaseUntil.
+appointmentSchema.statics.claimReminder = function(appointmentId, reminderId, leaseUntil) {
+    const now = new Date();
+    return this.findOneAndUpdate(
+        {
+            _id: appointmentId,
+            reminders: {
+                $elemMatch: {
+                    _id: reminderId,
+                    sent: false,
+                    failed: { $ne: true },
+                    $or: [
+                        { claimed_until: null },
+                        { claimed_until: { $lte: now } }
+                    ]
+                }
+            }
+        },
+        { $set: { 'reminders.$.claimed_until': leaseUntil } },
+        { new: true }
+    );
+};
+
+appointmentSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
 // Instance methods
-appointmentSchema.methods.confirm = function() {
-    this.status = 'confirmed';
-    return this.save();
+appointmentSchema.methods.canTransitionTo = function(status) {
+    return (STATUS_TRANSITIONS[this.status] || []).includes(status);
 };
 
-appointmentSchema.methods.start = function() {
-    this.status = 'in_progress';
+appointmentSchema.methods.transitionTo = function(status, changedBy, reason) {
+    if (!this.canTransitionTo(status)) {
+        const error = new Error(`Cannot change appointment status from ${this.status} to ${status}`);
+        error.status = 409;
+        return Promise.reject(error);
+    }
+
+    this.status_history.push({
+        from: this.status,
+        to: status,
+        changed_by: changedBy,
+        changed_at: new Date(),
+        reason: reason
+    });
+    this.status = status;
     return this.save();
 };
 
-appointmentSchema.methods.complete = function() {
-    this.status = 'completed';
-    return this.save();
+appointmentSchema.methods.confirm = function(changedBy) {
+    return this.transitionTo('confirmed', changedBy);
+};
+
+appointmentSchema.methods.start = function(changedBy) {
+    return this.transitionTo('in_progress', changedBy);
+};
+
+appointmentSchema.methods.complete = function(changedBy) {
+    return this.transitionTo('completed', changedBy);
 };
 
 appointmentSchema.methods.cancel = function(reason, cancelledBy) {
-    this.status = 'cancelled';
-    this.cancellation.reason = reason;
-    this.cancellation.cancelled_by = cancelledBy;
-    this.cancellation.cancelled_at = new Date();
-    return this.save();
+    if (this.canTransitionTo('cancelled')) {
+        this.cancellation.reason = reason;
+        this.cancellation.cancelled_by = cancelledBy;
+        this.cancellation.cancelled_at = new Date();
+    }
+    return this.transitionTo('cancelled', cancelledBy, reason);
 };
 
-appointmentSchema.methods.markNoShow = function() {
-    this.status = 'no_show';
-    return this.save();
+appointmentSchema.methods.markNoShow = function(changedBy) {
+    return this.transitionTo('no_show', changedBy);
 };
 
 appointmentSchema.methods.addReminder = function(type, scheduledFor) {
@@ -245,13 +405,56 @@ appointmentSchema.methods.addReminder = function(type, scheduledFor) {
     return this.save();
 };
 
+// Reminder outcomes are written by reminder id rather than saving the
+// dispatcher's copy, which is stale once a reschedule replaces the reminders
 appointmentSchema.methods.markReminderSent = function(reminderId) {
-    const reminder = this.reminders.id(reminderId);
-    if (reminder) {
-        reminder.sent = true;
-        reminder.sent_at = new Date();
-    }
-    return this.save();
+    return this.constructor.updateOne(
+        { _id: this._id, 'reminders._id': reminderId },
+        {
+            $set: {
+                'reminders.$.sent': true,
+                'reminders.$.sent_at': new Date(),
+                'reminders.$.claimed_until': null
+            }
+        }
+    );
+};
+
+appointmentSchema.methods.markReminderFailed = function(reminderId, error, retryAt) {
+    return this.constructor.updateOne(
+        { _id: this._id, 'reminders._id': reminderId },
+        {
+            $inc: { 'reminders.$.attempts': 1 },
+            $set: {
+                'reminders.$.last_error': error.message || String(error),
+                'reminders.$.next_attempt_at': retryAt,
+                'reminders.$.failed': !retryAt,
+                'reminders.$.claimed_until': null
+            }
+        }
+    );
+};
+
+// Replace pending reminders with one per channel and offset (minutes before start)
+// Does not save; reminders that would already be due are skipped. Sent ones
+// and those a dispatcher has claimed and may be sending are kept.
+appointmentSchema.methods.scheduleReminders = function(offsetsMinutes, channels) {
+    const now = new Date();
+    const kept = this.reminders.filter(reminder =>
+        reminder.sent || (reminder.claimed_until && reminder.claimed_until > now)
+    );
+
+    channels.forEach(type => {
+        offsetsMinutes.forEach(offset => {
+            const scheduledFor = new Date(this.start_time.getTime() - offset * 60 * 1000);
+            if (scheduledFor <= now) return;
+
+            kept.push({ type, scheduled_for: scheduledFor, sent: false });
+        });
+    });
+
+    this.reminders = kept;
+    return this;
 };
 
 appointmentSchema.methods.softDelete = function() {
@@ -260,6 +463,19 @@ appointmentSchema.methods.softDelete = function() {
 };
 
 // Pre-save middleware
+appointmentSchema.pre('save', function(next) {
+    // Record the initial status so the history is complete from creation
+    if (this.isNew && this.status_history.length === 0) {
+        this.status_history.push({
+            from: null,
+            to: this.status,
+            changed_by: this.created_by,
+            changed_at: new Date()
+        });
+    }
+    next();
+});
+
 appointmentSchema.pre('save', function(next) {
     // Calculate duration if not provided
     if (this.isModified('start_time') || this.isModified('end_time')) {
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+const appointmentSeriesSchema = new mongoose.Schema({
+    tenant_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tenant',
+        required: true
+    },
+    clinic_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Clinic',
+        required: true
+    },
+    patient_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient',
+        required: true
+    },
+    doctor_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 255
+    },
+    rule: {
+        frequency: {
+            type: String,
+            enum: ['daily', 'weekly', 'monthly'],
+            required: true
+        },
+        interval: {
+            type: Number,
+            default: 1,
+            min: 1
+        },
+        by_day: [{
+            type: String,
+            enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+        }],
+        count: {
+            type: Number,
+            min: 1
+        },
+        until: {
+            type: Date
+        }
+    },
+    timezone: {
+        type: String,
+        default: 'UTC'
+    },
+    start_time: {
+        type: Date,
+        required: true
+    },
+    duration_minutes: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    skipped_dates: [{
+        type: Date
+    }],
+    status: {
+        type: String,
+        enum: ['active', 'cancelled'],
+        default: 'active'
+    },
+    created_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    deleted_at: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true,
+    collection: 'appointment_series'
+});
+
+// Indexes
+appointmentSeriesSchema.index({ tenant_id: 1 });
+appointmentSeriesSchema.index({ tenant_id: 1, patient_id: 1 });
+appointmentSeriesSchema.index({ tenant_id: 1, doctor_id: 1 });
+
+// Static methods
+appointmentSeriesSchema.statics.findByPatient = function(tenantId, patientId) {
+    return this.find({
+        tenant_id: tenantId,
+        patient_id: patientId,
+        deleted_at: null
+    })
+    .sort({ start_time: -1 });
+};
+
+// Instance methods
+appointmentSeriesSchema.methods.cancel = function() {
+    this.status = 'cancelled';
+    return this.save();
+};
+
+module.exports = mongoose.model('AppointmentSeries', appointmentSeriesSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const calendarFeedSchema = new mongoose.Schema({
+    tenant_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tenant',
+        required: true
+    },
+    owner_type: {
+        type: String,
+        enum: ['doctor', 'clinic'],
+        required: true
+    },
+    owner_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    token_hash: {
+        type: String,
+        required: true
+    },
+    include_patient_details: {
+        type: Boolean,
+        default: false
+    },
+    // Clinics the feed shows, copied from its creator's clinic scope; empty
+    // shows every clinic
+    clinic_ids: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Clinic'
+    }],
+    last_accessed_at: {
+        type: Date
+    },
+    created_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    revoked_at: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true,
+    collection: 'calendar_feeds'
+});
+
+// Indexes
+calendarFeedSchema.index({ token_hash: 1 }, { unique: true });
+calendarFeedSchema.index({ tenant_id: 1, owner_type: 1, owner_id: 1 });
+
+// Static methods
+calendarFeedSchema.statics.hashToken = function(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+calendarFeedSchema.statics.generateToken = function() {
+    return crypto.randomBytes(32).toString('hex');
+};
+
+calendarFeedSchema.statics.findByToken = function(token) {
+    return this.findOne({
+        token_hash: this.hashToken(token),
+        revoked_at: null
+    });
+};
+
+calendarFeedSchema.statics.findByTenant = function(tenantId) {
+    return this.find({ tenant_id: tenantId, revoked_at: null })
+        .sort({ createdAt: -1 });
+};
+
+// Instance methods
+calendarFeedSchema.methods.revoke = function() {
+    this.revoked_at = new Date();
+    return this.save();
+};
+
+module.exports = mongoose.model('CalendarFeed', calendarFeedSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const search = require('../utils/search');
 
 const clinicSchema = new mongoose.Schema({
     tenant_id: {
@@ -12,6 +13,13 @@ const clinicSchema = new mongoose.Schema({
         trim: true,
         maxlength: 255
     },
+    // Short code used in document numbers, e.g. "DHK1"
+    code: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        maxlength: 10
+    },
     license_number: {
         type: String,
         trim: true,
@@ -67,9 +75,9 @@ const clinicSchema = new mongoose.Schema({
         }
     },
     settings: {
+        // Unset follows the tenant's time zone
         timezone: {
-            type: String,
-            default: 'UTC'
+            type: String
         },
         currency: {
             type: String,
@@ -138,6 +146,7 @@ clinicSchema.index({ tenant_id: 1 });
 clinicSchema.index({ tenant_id: 1, name: 1 });
 clinicSchema.index({ tenant_id: 1, is_active: 1 });
 clinicSchema.index({ tenant_id: 1, deleted_at: 1 });
+clinicSchema.index({ tenant_id: 1, name: 'text', 'address.city': 'text', 'address.state': 'text' }, { name: 'clinic_search' });
 
 // Virtual for full address
 clinicSchema.virtual('full_address').get(function() {
@@ -176,20 +185,24 @@ clinicSchema.statics.findActive = function(tenantId) {
 };
 
 clinicSchema.statics.searchClinics = function(tenantId, searchTerm) {
-    return this.find({
-        tenant_id: tenantId,
-        deleted_at: null,
-        $or: [
-            { name: new RegExp(searchTerm, 'i') },
-            { 'address.city': new RegExp(searchTerm, 'i') },
-            { 'address.state': new RegExp(searchTerm, 'i') },
-            { 'contact.email': new RegExp(searchTerm, 'i') },
-            { 'contact.phone': new RegExp(searchTerm, 'i') }
+    return search.find(this, { tenant_id: tenantId, deleted_at: null }, searchTerm, {
+        identifiers: [
+            'contact.email',
+            'contact.phone'
         ]
     });
 };
 
 // Instance methods
+
+// Time zone for the clinic's local times: its own, else the tenant's
+clinicSchema.methods.resolveTimeZone = async function() {
+    if (this.settings && this.settings.timezone) return this.settings.timezone;
+
+    const tenant = await mongoose.model('Tenant').findById(this.tenant_id).select('settings.timezone');
+    return (tenant && tenant.settings.timezone) || 'UTC';
+};
+
 clinicSchema.methods.addService = function(service) {
     this.services.push(service);
     return this.save();
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Per-tenant sequence for one document type and scope (e.g. a year or clinic)
+const counterSchema = new mongoose.Schema({
+    tenant_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tenant',
+        required: true
+    },
+    key: {
+        type: String,
+        required: true
+    },
+    scope: {
+        type: String,
+        default: ''
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true,
+    collection: 'counters'
+});
+
+// Indexes
+counterSchema.index({ tenant_id: 1, key: 1, scope: 1 }, { unique: true });
+
+// Static methods
+
+// Atomically take the next value. A missing counter is created at the value
+// returned by getInitialValue so numbering can continue from existing data.
+counterSchema.statics.increment = async function(tenantId, key, scope = '', getInitialValue = null) {
+    const filter = { tenant_id: tenantId, key: key, scope: scope };
+
+    const counter = await this.findOneAndUpdate(filter, { $inc: { seq: 1 } }, { new: true });
+    if (counter) return counter.seq;
+
+    try {
+        await this.create({ ...filter, seq: getInitialValue ? await getInitialValue() : 0 });
+    } catch (error) {
+        // Another request created the counter first
+        if (error.code !== 11000) throw error;
+    }
+
+    const created = await this.findOneAndUpdate(filter, { $inc: { seq: 1 } }, { new: true });
+    return created.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+// Working interval in clinic-local wall-clock time ("HH:mm")
+// An interval without clinic_id applies at every clinic
+const intervalSchema = new mongoose.Schema({
+    start: {
+        type: String,
+        required: true,
+        match: /^([01]\d|2[0-3]):[0-5]\d$/
+    },
+    end: {
+        type: String,
+        required: true,
+        match: /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/
+    },
+    clinic_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Clinic',
+        default: null
+    }
+}, { _id: false });
+
+const doctorAvailabilitySchema = new mongoose.Schema({
+    tenant_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tenant',
+        required: true
+    },
+    doctor_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    weekly_template: {
+        monday: [intervalSchema],
+        tuesday: [intervalSchema],
+        wednesday: [intervalSchema],
+        thursday: [intervalSchema],
+        friday: [intervalSchema],
+        saturday: [intervalSchema],
+        sunday: [intervalSchema]
+    },
+    // Date-specific hours replacing the weekly template; no intervals means a day off
+    overrides: [{
+        date: {
+            type: String,
+            required: true,
+            match: /^\d{4}-\d{2}-\d{2}$/
+        },
+        intervals: [intervalSchema],
+        reason: {
+            type: String,
+            trim: true
+        }
+    }],
+    // Absolute time ranges the doctor cannot be booked (leave, breaks, training)
+    blocked: [{
+        start: {
+            type: Date,
+            required: true
+        },
+        end: {
+            type: Date,
+            required: true
+        },
+        type: {
+            type: String,
+            enum: ['leave', 'break', 'other'],
+            default: 'other'
+        },
+        reason: {
+            type: String,
+            trim: true
+        }
+    }],
+    updated_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true,
+    collection: 'doctor_availability'
+});
+
+// Indexes
+doctorAvailabilitySchema.index({ tenant_id: 1, doctor_id: 1 }, { unique: true });
+
+// Static methods
+doctorAvailabilitySchema.statics.findByDoctor = function(tenantId, doctorId) {
+    return this.findOne({ tenant_id: tenantId, doctor_id: doctorId });
+};
+
+// Instance methods
+const formatDateKey = (day) =>
+    `${day.year}-${String(day.month).padStart(2, '0')}-${String(day.day).padStart(2, '0')}`;
+
+// Working intervals for a local calendar day ({ year, month, day, weekday }) at a clinic
+doctorAvailabilitySchema.methods.getIntervalsForDay = function(day, clinicId) {
+    const override = this.overrides.find(item => item.date === formatDateKey(day));
+    const intervals = override ? override.intervals : (this.weekly_template[day.weekday] || []);
+
+    return intervals.filter(interval =>
+        !interval.clinic_id || !clinicId || interval.clinic_id.toString() === clinicId.toString()
+    );
+};
+
+doctorAvailabilitySchema.methods.findBlock = function(startTime, endTime) {
+    return this.blocked.find(block => block.start < endTime && block.end > startTime) || null;
+};
+
+doctorAvailabilitySchema.methods.addOverride = function(override) {
+    this.overrides = this.overrides.filter(item => item.date !== override.date);
+    this.overrides.push(override);
+    return this.save();
+};
+
+doctorAvailabilitySchema.methods.removeOverride = function(overrideId) {
+    this.overrides = this.overrides.filter(item => item._id.toString() !== overrideId);
+    return this.save();
+};
+
+doctorAvailabilitySchema.methods.addBlock = function(block) {
+    this.blocked.push(block);
+    return this.save();
+};
+
+doctorAvailabilitySchema.methods.removeBlock = function(blockId) {
+    this.blocked = this.blocked.filter(block => block._id.toString() !== blockId);
+    return this.save();
+};
+
+module.exports = mongoose.model('DoctorAvailability', doctorAvailabilitySchema);
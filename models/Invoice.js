@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const search = require('../utils/search');
 
 const invoiceSchema = new mongoose.Schema({
     tenant_id: {
@@ -34,16 +35,22 @@ const invoiceSchema = new mongoose.Schema({
             start: Date,
             end: Date
         },
+        // Unset values here and in payment_terms and items.tax_rate come
+        // from the tenant's invoice settings when the invoice is created
         currency: {
             type: String,
-            default: 'USD',
             maxlength: 3
         },
         tax_rate: {
             type: Number,
             min: 0,
-            max: 1,
-            default: 0
+            max: 1
+        },
+        // Printed at the bottom of the invoice
+        footer: {
+            type: String,
+            trim: true,
+            maxlength: 1000
         }
     },
     items: [{
@@ -80,8 +87,7 @@ const invoiceSchema = new mongoose.Schema({
         tax_rate: {
             type: Number,
             min: 0,
-            max: 1,
-            default: 0
+            max: 1
         },
         total: {
             type: Number,
@@ -205,13 +211,11 @@ const invoiceSchema = new mongoose.Schema({
         },
         due_days: {
             type: Number,
-            min: 0,
-            default: 30
+            min: 0
         },
         late_fee: {
             type: Number,
-            min: 0,
-            default: 0
+            min: 0
         },
         late_fee_type: {
             type: String,
@@ -258,6 +262,8 @@ invoiceSchema.index({ tenant_id: 1, status: 1 });
 invoiceSchema.index({ tenant_id: 1, 'invoice_info.due_date': 1 });
 invoiceSchema.index({ tenant_id: 1, 'insurance.status': 1 });
 invoiceSchema.index({ tenant_id: 1, deleted_at: 1 });
+invoiceSchema.index({ tenant_id: 1, 'insurance.claim_number': 1 });
+invoiceSchema.index({ tenant_id: 1, 'items.description': 'text', 'insurance.provider': 'text' }, { name: 'invoice_search' });
 
 // Virtual for patient info
 invoiceSchema.virtual('patient_info', {
@@ -283,6 +289,42 @@ invoiceSchema.virtual('is_overdue').get(function() {
     return this.days_overdue > 0 && this.status !== 'paid';
 });
 
+// New invoices take the tenant's invoice settings and currency for every
+// value the caller left unset
+invoiceSchema.pre('validate', async function() {
+    if (!this.isNew) return;
+
+    const Tenant = mongoose.model('Tenant');
+    // Defaults come from the Tenant settings schema
+    const tenant = (await Tenant.findById(this.tenant_id).select('settings')) || new Tenant();
+    const { invoices, currency } = tenant.settings;
+    const defaults = {
+        'invoice_info.currency': currency,
+        'invoice_info.tax_rate': invoices.tax_rate,
+        'invoice_info.footer': invoices.footer,
+        'payment_terms.due_days': invoices.due_days,
+        'payment_terms.late_fee': invoices.late_fee
+    };
+    Object.entries(defaults).forEach(([path, value]) => {
+        if (this.get(path) == null && value !== undefined) {
+            this.set(path, value);
+        }
+    });
+
+    this.items.forEach(item => {
+        if (item.tax_rate == null) {
+            item.tax_rate = this.invoice_info.tax_rate;
+        }
+    });
+
+    // Due date is required, so it is filled in before validation
+    if (!this.invoice_info.due_date && this.invoice_info.issue_date) {
+        const dueDate = new Date(this.invoice_info.issue_date);
+        dueDate.setDate(dueDate.getDate() + this.payment_terms.due_days);
+        this.invoice_info.due_date = dueDate;
+    }
+});
+
 // Pre-save middleware to calculate totals
 invoiceSchema.pre('save', function(next) {
     // Calculate item totals
@@ -302,13 +344,6 @@ invoiceSchema.pre('save', function(next) {
     this.totals.total_amount = subtotal + taxAmount;
     this.totals.balance_due = this.totals.total_amount - this.totals.paid_amount;
     
-    // Set due date if not provided
-    if (!this.invoice_info.due_date && this.invoice_info.issue_date) {
-        const dueDate = new Date(this.invoice_info.issue_date);
-        dueDate.setDate(dueDate.getDate() + this.payment_terms.due_days);
-        this.invoice_info.due_date = dueDate;
-    }
-    
     // Update status based on payment
     if (this.totals.balance_due <= 0 && this.totals.paid_amount > 0) {
         this.status = 'paid';
@@ -373,15 +408,12 @@ invoiceSchema.statics.findUnpaid = function(tenantId) {
 };
 
 invoiceSchema.statics.searchInvoices = function(tenantId, searchTerm) {
-    return this.find({
-        tenant_id: tenantId,
-        deleted_at: null,
-        $or: [
-            { invoice_number: new RegExp(searchTerm, 'i') },
-            { 'items.description': new RegExp(searchTerm, 'i') },
-            { 'insurance.provider': new RegExp(searchTerm, 'i') },
-            { 'insurance.claim_number': new RegExp(searchTerm, 'i') }
-        ]
+    return search.find(this, { tenant_id: tenantId, deleted_at: null }, searchTerm, {
+        identifiers: [
+            'invoice_number',
+            'insurance.claim_number'
+        ],
+        identifierPattern: search.NUMBER_PATTERN
     })
     .populate('patient_id', 'first_name last_name patient_id')
     .sort({ 'invoice_info.issue_date': -1 });
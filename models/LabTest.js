@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const search = require('../utils/search');
 
 const labTestSchema = new mongoose.Schema({
     tenant_id: {
@@ -273,6 +274,8 @@ labTestSchema.index({ tenant_id: 1, patient_id: 1, status: 1 });
 labTestSchema.index({ tenant_id: 1, status: 1 });
 labTestSchema.index({ tenant_id: 1, 'ordering_info.ordered_at': -1 });
 labTestSchema.index({ tenant_id: 1, deleted_at: 1 });
+labTestSchema.index({ tenant_id: 1, 'processing.laboratory.accession_number': 1 });
+labTestSchema.index({ tenant_id: 1, 'test_info.name': 'text', 'test_info.type': 'text' }, { name: 'lab_test_search' });
 
 // Virtual for patient info
 labTestSchema.virtual('patient_info', {
@@ -373,15 +376,12 @@ labTestSchema.statics.findUrgent = function(tenantId) {
 };
 
 labTestSchema.statics.searchLabTests = function(tenantId, searchTerm) {
-    return this.find({
-        tenant_id: tenantId,
-        deleted_at: null,
-        $or: [
-            { test_number: new RegExp(searchTerm, 'i') },
-            { 'test_info.name': new RegExp(searchTerm, 'i') },
-            { 'test_info.type': new RegExp(searchTerm, 'i') },
-            { 'processing.laboratory.accession_number': new RegExp(searchTerm, 'i') }
-        ]
+    return search.find(this, { tenant_id: tenantId, deleted_at: null }, searchTerm, {
+        identifiers: [
+            'test_number',
+            'processing.laboratory.accession_number'
+        ],
+        identifierPattern: search.NUMBER_PATTERN
     })
     .populate('patient_id', 'first_name last_name patient_id')
     .populate('doctor_id', 'first_name last_name')
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const search = require('../utils/search');
 
 const medicalRecordSchema = new mongoose.Schema({
     tenant_id: {
@@ -328,6 +329,7 @@ medicalRecordSchema.index({ appointment_id: 1 });
 medicalRecordSchema.index({ tenant_id: 1, patient_id: 1, created_at: -1 });
 medicalRecordSchema.index({ tenant_id: 1, doctor_id: 1, created_at: -1 });
 medicalRecordSchema.index({ tenant_id: 1, deleted_at: 1 });
+medicalRecordSchema.index({ tenant_id: 1, 'visit_info.chief_complaint': 'text', 'diagnosis.description': 'text', 'treatment_plan.plan': 'text' }, { name: 'medical_record_search' });
 
 // Virtual for patient info
 medicalRecordSchema.virtual('patient_info', {
@@ -385,15 +387,11 @@ medicalRecordSchema.statics.findByDateRange = function(tenantId, startDate, endD
 };
 
 medicalRecordSchema.statics.searchRecords = function(tenantId, searchTerm) {
-    return this.find({
-        tenant_id: tenantId,
-        deleted_at: null,
-        $or: [
-            { record_number: new RegExp(searchTerm, 'i') },
-            { 'visit_info.chief_complaint': new RegExp(searchTerm, 'i') },
-            { 'diagnosis.description': new RegExp(searchTerm, 'i') },
-            { 'treatment_plan.plan': new RegExp(searchTerm, 'i') }
-        ]
+    return search.find(this, { tenant_id: tenantId, deleted_at: null }, searchTerm, {
+        identifiers: [
+            'record_number'
+        ],
+        identifierPattern: search.NUMBER_PATTERN
     })
     .populate('patient_id', 'first_name last_name patient_id')
     .populate('doctor_id', 'first_name last_name')
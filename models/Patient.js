@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const search = require('../utils/search');
 
 const patientSchema = new mongoose.Schema({
     tenant_id: {
@@ -134,6 +135,23 @@ const patientSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
+    // Lower-cased name tokens and digit-only phones for indexed prefix search
+    search: {
+        names: {
+            type: [String],
+            select: false
+        },
+        phones: {
+            type: [String],
+            select: false
+        }
+    },
+    // Survivor this record was merged into as a duplicate
+    merged_into: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient',
+        default: null
+    },
     deleted_at: {
         type: Date,
         default: null
@@ -151,6 +169,10 @@ patientSchema.index({ user_id: 1 });
 patientSchema.index({ tenant_id: 1, first_name: 1, last_name: 1 });
 patientSchema.index({ tenant_id: 1, is_active: 1 });
 patientSchema.index({ tenant_id: 1, deleted_at: 1 });
+patientSchema.index({ tenant_id: 1, 'search.names': 1 });
+patientSchema.index({ tenant_id: 1, 'search.phones': 1 });
+patientSchema.index({ tenant_id: 1, email: 1 });
+patientSchema.index({ tenant_id: 1, date_of_birth: 1 });
 
 // Virtual for full name
 patientSchema.virtual('full_name').get(function() {
@@ -189,25 +211,66 @@ patientSchema.statics.findByPatientId = function(tenantId, patientId) {
     });
 };
 
+const nameTokens = (...names) => [...new Set(
+    names.filter(Boolean).join(' ').toLowerCase().split(/\s+/).filter(Boolean)
+)];
+
 patientSchema.statics.findByName = function(tenantId, firstName, lastName) {
+    const tokens = nameTokens(search.normalizeTerm(firstName), search.normalizeTerm(lastName));
     const query = { tenant_id: tenantId, deleted_at: null };
-    if (firstName) query.first_name = new RegExp(firstName, 'i');
-    if (lastName) query.last_name = new RegExp(lastName, 'i');
+    if (tokens.length > 0) {
+        query['search.names'] = { $all: tokens.map(search.prefixRegex) };
+    }
     return this.find(query);
 };
 
-patientSchema.statics.searchPatients = function(tenantId, searchTerm) {
+// Candidates for a free-text search: patient_id, name, email and phone
+// prefixes, or an exact date of birth. Ranking is left to the caller.
+patientSchema.statics.searchPatients = function(tenantId, searchTerm, limit = 50) {
+    const term = search.normalizeTerm(searchTerm);
+    if (!term) {
+        return this.find({ _id: null });
+    }
+
+    const clauses = [
+        search.identifierClause('patient_id', term),
+        { email: search.prefixRegex(term.toLowerCase()) },
+        { 'search.names': { $all: nameTokens(term).map(search.prefixRegex) } }
+    ];
+
+    const digits = search.normalizePhone(term);
+    if (digits.length >= 3 && /^[\d\s()+.-]+$/.test(term)) {
+        clauses.push({
+            'search.phones': { $in: [...new Set([digits, digits.replace(/^0+/, '')])].map(search.prefixRegex) }
+        });
+    }
+
+    const dateOfBirth = search.parseDateTerm(term);
+    if (dateOfBirth) {
+        clauses.push({ date_of_birth: { $gte: dateOfBirth.start, $lt: dateOfBirth.end } });
+    }
+
     return this.find({
         tenant_id: tenantId,
         deleted_at: null,
-        $or: [
-            { first_name: new RegExp(searchTerm, 'i') },
-            { last_name: new RegExp(searchTerm, 'i') },
-            { patient_id: new RegExp(searchTerm, 'i') },
-            { email: new RegExp(searchTerm, 'i') },
-            { phone: new RegExp(searchTerm, 'i') }
-        ]
-    });
+        $or: clauses
+    })
+    .limit(limit);
+};
+
+// Values stored in search: name tokens and the phone with and without leading
+// zeros and country code
+patientSchema.statics.searchKeys = function(firstName, lastName, phone) {
+    const digits = search.normalizePhone(phone);
+    return {
+        names: nameTokens(firstName, lastName),
+        phones: digits ? [...new Set([digits, digits.replace(/^0+/, ''), digits.slice(-10)])] : []
+    };
+};
+
+// Patients saved before search keys existed
+patientSchema.statics.findMissingSearchKeys = function() {
+    return this.find({ 'search.names': { $exists: false } });
 };
 
 // Instance methods
@@ -223,6 +286,11 @@ patientSchema.methods.restore = function() {
     return this.save();
 };
 
+patientSchema.methods.setSearchKeys = function() {
+    this.search = this.constructor.searchKeys(this.first_name, this.last_name, this.phone);
+    return this;
+};
+
 patientSchema.methods.addMedication = function(medication) {
     if (!this.medical_info.current_medications) {
         this.medical_info.current_medications = [];
@@ -245,9 +313,48 @@ patientSchema.pre('save', function(next) {
     if (this.email) {
         this.email = this.email.toLowerCase();
     }
+
+    if (this.isNew || this.isModified('first_name') || this.isModified('last_name') || this.isModified('phone')) {
+        this.setSearchKeys();
+    }
     next();
 });
 
+// Query updates skip pre('save'): when one changes a name or phone, rebuild
+// the search keys of the patients it matched once it has run
+const SEARCH_KEY_FIELDS = ['first_name', 'last_name', 'phone'];
+const SEARCH_KEY_UPDATES = ['findOneAndUpdate', 'updateOne', 'updateMany'];
+
+const touchesSearchKeys = (update) => !!update && SEARCH_KEY_FIELDS.some(field =>
+    field in update || ['$set', '$unset'].some(operator => update[operator] && field in update[operator])
+);
+
+patientSchema.pre(SEARCH_KEY_UPDATES, async function() {
+    if (!touchesSearchKeys(this.getUpdate())) return;
+
+    const patients = await this.model.find(this.getFilter())
+        .select('_id')
+        .session(this.getOptions().session || null);
+    this._searchKeyIds = patients.map(patient => patient._id);
+});
+
+patientSchema.post(SEARCH_KEY_UPDATES, async function() {
+    if (!this._searchKeyIds || this._searchKeyIds.length === 0) return;
+
+    const session = this.getOptions().session || null;
+    const patients = await this.model.find({ _id: { $in: this._searchKeyIds } })
+        .select('first_name last_name phone')
+        .session(session);
+
+    for (const patient of patients) {
+        await this.model.updateOne(
+            { _id: patient._id },
+            { $set: { search: this.model.searchKeys(patient.first_name, patient.last_name, patient.phone) } },
+            { session }
+        );
+    }
+});
+
 // Pre-remove middleware
 patientSchema.pre('remove', async function(next) {
     // Remove related records
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Audit of a duplicate patient merged into a survivor, with everything
+// needed to undo it
+const patientMergeSchema = new mongoose.Schema({
+    tenant_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tenant',
+        required: true
+    },
+    survivor_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient',
+        required: true
+    },
+    duplicate_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient',
+        required: true
+    },
+    // Duplicate patient document as it was before the merge
+    duplicate_snapshot: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    // Ids of related documents moved to the survivor, keyed by collection
+    moved: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // Survivor's linked portal user before the merge, so undo can tell
+    // whether the merge handed it the duplicate's
+    survivor_user_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    status: {
+        type: String,
+        enum: ['merged', 'undone'],
+        default: 'merged'
+    },
+    merged_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    undone_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    undone_at: {
+        type: Date
+    }
+}, {
+    timestamps: true,
+    collection: 'patient_merges'
+});
+
+// Indexes
+patientMergeSchema.index({ tenant_id: 1, createdAt: -1 });
+patientMergeSchema.index({ tenant_id: 1, survivor_id: 1 });
+patientMergeSchema.index({ tenant_id: 1, duplicate_id: 1 });
+
+// Static methods
+patientMergeSchema.statics.findByTenant = function(tenantId) {
+    return this.find({ tenant_id: tenantId })
+        .populate('survivor_id', 'first_name last_name patient_id')
+        .populate('duplicate_id', 'first_name last_name patient_id')
+        .sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('PatientMerge', patientMergeSchema);
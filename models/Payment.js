@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const search = require('../utils/search');
 
 const paymentSchema = new mongoose.Schema({
     tenant_id: {
@@ -27,9 +28,9 @@ const paymentSchema = new mongoose.Schema({
             required: true,
             min: 0
         },
+        // Unset takes the tenant's currency when the payment is created
         currency: {
             type: String,
-            default: 'USD',
             maxlength: 3
         },
         payment_date: {
@@ -218,6 +219,10 @@ paymentSchema.index({ tenant_id: 1, status: 1 });
 paymentSchema.index({ tenant_id: 1, 'payment_info.payment_date': -1 });
 paymentSchema.index({ tenant_id: 1, 'payment_info.method': 1 });
 paymentSchema.index({ tenant_id: 1, deleted_at: 1 });
+paymentSchema.index({ tenant_id: 1, 'payment_info.method_details.transaction_id': 1 });
+paymentSchema.index({ tenant_id: 1, 'payment_info.method_details.check_number': 1 });
+paymentSchema.index({ tenant_id: 1, 'payment_info.method_details.transfer_reference': 1 });
+paymentSchema.index({ tenant_id: 1, 'payment_info.method_details.transaction_id': 'text', 'payment_info.method_details.check_number': 'text', 'payment_info.method_details.transfer_reference': 'text' }, { name: 'payment_search' });
 
 // Virtual for patient info
 paymentSchema.virtual('patient_info', {
@@ -314,15 +319,14 @@ paymentSchema.statics.findPending = function(tenantId) {
 };
 
 paymentSchema.statics.searchPayments = function(tenantId, searchTerm) {
-    return this.find({
-        tenant_id: tenantId,
-        deleted_at: null,
-        $or: [
-            { payment_number: new RegExp(searchTerm, 'i') },
-            { 'payment_info.method_details.transaction_id': new RegExp(searchTerm, 'i') },
-            { 'payment_info.method_details.check_number': new RegExp(searchTerm, 'i') },
-            { 'payment_info.method_details.transfer_reference': new RegExp(searchTerm, 'i') }
-        ]
+    return search.find(this, { tenant_id: tenantId, deleted_at: null }, searchTerm, {
+        identifiers: [
+            'payment_number',
+            'payment_info.method_details.transaction_id',
+            'payment_info.method_details.check_number',
+            'payment_info.method_details.transfer_reference'
+        ],
+        identifierPattern: search.NUMBER_PATTERN
     })
     .populate('patient_id', 'first_name last_name patient_id')
     .populate('invoice_id', 'invoice_number total_amount')
@@ -388,6 +392,16 @@ paymentSchema.methods.restore = function() {
     return this.save();
 };
 
+// New payments are in the tenant's currency unless the caller set one
+paymentSchema.pre('validate', async function() {
+    if (!this.isNew || this.payment_info.currency) return;
+
+    const Tenant = mongoose.model('Tenant');
+    // Defaults come from the Tenant settings schema
+    const tenant = (await Tenant.findById(this.tenant_id).select('settings.currency')) || new Tenant();
+    this.payment_info.currency = tenant.settings.currency;
+});
+
 // Pre-save middleware
 paymentSchema.pre('save', function(next) {
     // Validate refund amount
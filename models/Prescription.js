@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const search = require('../utils/search');
 
 const prescriptionSchema = new mongoose.Schema({
     tenant_id: {
@@ -226,6 +227,7 @@ prescriptionSchema.index({ tenant_id: 1, patient_id: 1, status: 1 });
 prescriptionSchema.index({ tenant_id: 1, doctor_id: 1, status: 1 });
 prescriptionSchema.index({ tenant_id: 1, is_active: 1 });
 prescriptionSchema.index({ tenant_id: 1, deleted_at: 1 });
+prescriptionSchema.index({ tenant_id: 1, 'medication.name': 'text', 'medication.brand_name': 'text', 'medication.generic_name': 'text' }, { name: 'prescription_search' });
 
 // Virtual for patient info
 prescriptionSchema.virtual('patient_info', {
@@ -324,15 +326,11 @@ prescriptionSchema.statics.findExpiringSoon = function(tenantId, days = 30) {
 };
 
 prescriptionSchema.statics.searchPrescriptions = function(tenantId, searchTerm) {
-    return this.find({
-        tenant_id: tenantId,
-        deleted_at: null,
-        $or: [
-            { prescription_number: new RegExp(searchTerm, 'i') },
-            { 'medication.name': new RegExp(searchTerm, 'i') },
-            { 'medication.brand_name': new RegExp(searchTerm, 'i') },
-            { 'medication.generic_name': new RegExp(searchTerm, 'i') }
-        ]
+    return search.find(this, { tenant_id: tenantId, deleted_at: null }, searchTerm, {
+        identifiers: [
+            'prescription_number'
+        ],
+        identifierPattern: search.NUMBER_PATTERN
     })
     .populate('patient_id', 'first_name last_name patient_id')
     .populate('doctor_id', 'first_name last_name')
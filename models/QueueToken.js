@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+
+// Allowed status moves for a walk-in token
+const STATUS_TRANSITIONS = {
+    waiting: ['called', 'skipped'],
+    called: ['in_service', 'skipped'],
+    in_service: ['done'],
+    done: [],
+    skipped: []
+};
+
+const queueTokenSchema = new mongoose.Schema({
+    tenant_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tenant',
+        required: true
+    },
+    clinic_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Clinic',
+        required: true
+    },
+    // Clinic-local calendar day the token belongs to ("YYYY-MM-DD")
+    queue_date: {
+        type: String,
+        required: true,
+        match: /^\d{4}-\d{2}-\d{2}$/
+    },
+    token_number: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    patient_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient',
+        default: null
+    },
+    // Name for walk-ins not yet registered as patients
+    visitor_name: {
+        type: String,
+        trim: true,
+        maxlength: 255
+    },
+    service_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    doctor_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    counter: {
+        type: String,
+        trim: true,
+        maxlength: 50
+    },
+    status: {
+        type: String,
+        enum: Object.keys(STATUS_TRANSITIONS),
+        default: 'waiting'
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    called_at: {
+        type: Date
+    },
+    called_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    service_started_at: {
+        type: Date
+    },
+    finished_at: {
+        type: Date
+    },
+    issued_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true,
+    collection: 'queue_tokens'
+});
+
+// Indexes
+queueTokenSchema.index({ tenant_id: 1, clinic_id: 1, queue_date: 1, token_number: 1 }, { unique: true });
+queueTokenSchema.index({ tenant_id: 1, clinic_id: 1, queue_date: 1, status: 1 });
+
+// Static methods
+queueTokenSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+queueTokenSchema.statics.findByDay = function(tenantId, clinicId, queueDate, status = null) {
+    const query = {
+        tenant_id: tenantId,
+        clinic_id: clinicId,
+        queue_date: queueDate
+    };
+    if (status) {
+        query.status = status;
+    }
+
+    return this.find(query)
+        .populate('patient_id', 'first_name last_name patient_id')
+        .populate('doctor_id', 'first_name last_name')
+        .sort({ token_number: 1 });
+};
+
+// Atomically take the next number in a clinic's queue for the day. The
+// counter starts after any tokens issued before it existed.
+queueTokenSchema.statics.nextTokenNumber = function(tenantId, clinicId, queueDate) {
+    const scope = `${clinicId}:${queueDate}`;
+
+    return mongoose.model('Counter').increment(tenantId, 'queue_token', scope, async () => {
+        const last = await this.findOne({
+            tenant_id: tenantId,
+            clinic_id: clinicId,
+            queue_date: queueDate
+        }).sort({ token_number: -1 });
+
+        return last ? last.token_number : 0;
+    });
+};
+
+// Atomically claim the lowest waiting token, optionally only those for one doctor
+queueTokenSchema.statics.callNext = function(tenantId, clinicId, queueDate, { doctorId, counter, calledBy }) {
+    const query = {
+        tenant_id: tenantId,
+        clinic_id: clinicId,
+        queue_date: queueDate,
+        status: 'waiting'
+    };
+    if (doctorId) {
+        query.doctor_id = { $in: [null, doctorId] };
+    }
+
+    const update = {
+        status: 'called',
+        counter: counter,
+        called_at: new Date(),
+        called_by: calledBy
+    };
+    if (doctorId) {
+        update.doctor_id = doctorId;
+    }
+
+    return this.findOneAndUpdate(query, { $set: update }, {
+        sort: { token_number: 1 },
+        new: true
+    });
+};
+
+// Instance methods
+queueTokenSchema.methods.canTransitionTo = function(status) {
+    return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+queueTokenSchema.methods.transitionTo = function(status) {
+    if (!this.canTransitionTo(status)) {
+        const error = new Error(`Cannot change token status from ${this.status} to ${status}`);
+        error.status = 409;
+        return Promise.reject(error);
+    }
+
+    this.status = status;
+    return this.save();
+};
+
+queueTokenSchema.methods.call = function(counter, calledBy) {
+    if (this.canTransitionTo('called')) {
+        this.counter = counter || this.counter;
+        this.called_at = new Date();
+        this.called_by = calledBy;
+    }
+    return this.transitionTo('called');
+};
+
+queueTokenSchema.methods.startService = function() {
+    if (this.canTransitionTo('in_service')) {
+        this.service_started_at = new Date();
+    }
+    return this.transitionTo('in_service');
+};
+
+queueTokenSchema.methods.finish = function() {
+    if (this.canTransitionTo('done')) {
+        this.finished_at = new Date();
+    }
+    return this.transitionTo('done');
+};
+
+queueTokenSchema.methods.skip = function() {
+    if (this.canTransitionTo('skipped')) {
+        this.finished_at = new Date();
+    }
+    return this.transitionTo('skipped');
+};
+
+module.exports = mongoose.model('QueueToken', queueTokenSchema);
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// One document per issued refresh token. Tokens rotate on every refresh;
+// all tokens descending from one login share a family_id, so a replayed
+// (already rotated) token can revoke the whole device session.
+const refreshTokenSchema = new mongoose.Schema({
+    tenant_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tenant',
+        required: true
+    },
+    user_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    token_hash: {
+        type: String,
+        required: true
+    },
+    family_id: {
+        type: String,
+        required: true
+    },
+    device: {
+        name: {
+            type: String,
+            trim: true,
+            maxlength: 100
+        },
+        user_agent: {
+            type: String,
+            maxlength: 500
+        },
+        ip: {
+            type: String,
+            maxlength: 100
+        }
+    },
+    expires_at: {
+        type: Date,
+        required: true
+    },
+    last_used_at: {
+        type: Date
+    },
+    replaced_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RefreshToken',
+        default: null
+    },
+    revoked_at: {
+        type: Date,
+        default: null
+    },
+    revoked_reason: {
+        type: String,
+        enum: ['rotated', 'logout', 'logout_all', 'reuse_detected', 'password_changed', 'deactivated', 'mfa_reset', null],
+        default: null
+    }
+}, {
+    timestamps: true,
+    collection: 'refresh_tokens'
+});
+
+// Indexes
+refreshTokenSchema.index({ token_hash: 1 }, { unique: true });
+refreshTokenSchema.index({ user_id: 1, revoked_at: 1 });
+refreshTokenSchema.index({ family_id: 1 });
+// Expired tokens are purged by MongoDB
+refreshTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Static methods
+refreshTokenSchema.statics.hashToken = function(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+refreshTokenSchema.statics.generateToken = function() {
+    return crypto.randomBytes(48).toString('base64url');
+};
+
+// Includes revoked tokens so callers can detect reuse
+refreshTokenSchema.statics.findByToken = function(token) {
+    return this.findOne({ token_hash: this.hashToken(String(token)) });
+};
+
+refreshTokenSchema.statics.findActiveByUser = function(userId) {
+    return this.find({
+        user_id: userId,
+        revoked_at: null,
+        expires_at: { $gt: new Date() }
+    })
+    .sort({ last_used_at: -1 });
+};
+
+// Atomically revoke one token; resolves null if it was already revoked
+refreshTokenSchema.statics.claim = function(tokenId, reason) {
+    return this.findOneAndUpdate(
+        { _id: tokenId, revoked_at: null },
+        { $set: { revoked_at: new Date(), revoked_reason: reason } },
+        { new: true }
+    );
+};
+
+refreshTokenSchema.statics.revokeFamily = function(familyId, reason) {
+    return this.updateMany(
+        { family_id: familyId, revoked_at: null },
+        { $set: { revoked_at: new Date(), revoked_reason: reason } }
+    );
+};
+
+refreshTokenSchema.statics.revokeForUser = function(userId, reason) {
+    return this.updateMany(
+        { user_id: userId, revoked_at: null },
+        { $set: { revoked_at: new Date(), revoked_reason: reason } }
+    );
+};
+
+// Instance methods
+refreshTokenSchema.methods.isExpired = function() {
+    return this.expires_at <= new Date();
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
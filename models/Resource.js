@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const resourceSchema = new mongoose.Schema({
+    tenant_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tenant',
+        required: true
+    },
+    clinic_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Clinic',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 255
+    },
+    type: {
+        type: String,
+        enum: ['room', 'equipment'],
+        required: true
+    },
+    category: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        maxlength: 100
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    is_active: {
+        type: Boolean,
+        default: true
+    },
+    deleted_at: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true,
+    collection: 'resources'
+});
+
+// Indexes
+resourceSchema.index({ tenant_id: 1, clinic_id: 1, name: 1 }, { unique: true });
+resourceSchema.index({ tenant_id: 1, deleted_at: 1 });
+
+// Static methods
+resourceSchema.statics.findByClinic = function(tenantId, clinicId) {
+    return this.find({
+        tenant_id: tenantId,
+        clinic_id: clinicId,
+        deleted_at: null
+    })
+    .sort({ type: 1, name: 1 });
+};
+
+resourceSchema.statics.findByTenant = function(tenantId) {
+    return this.find({ tenant_id: tenantId, deleted_at: null })
+        .sort({ clinic_id: 1, type: 1, name: 1 });
+};
+
+// Instance methods
+resourceSchema.methods.softDelete = function() {
+    this.deleted_at = new Date();
+    this.is_active = false;
+    return this.save();
+};
+
+resourceSchema.methods.restore = function() {
+    this.deleted_at = null;
+    this.is_active = true;
+    return this.save();
+};
+
+module.exports = mongoose.model('Resource', resourceSchema);
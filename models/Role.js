@@ -1,5 +1,92 @@
 const mongoose = require('mongoose');
 
+// Roles seeded for every new tenant
+const DEFAULT_ROLES = [
+    {
+        name: 'Super Admin',
+        description: 'Full access to all features',
+        permissions: {
+            dashboard: { view: true, analytics: true },
+            patients: { view: true, create: true, edit: true, delete: true, export: true },
+            appointments: { view: true, create: true, edit: true, delete: true, cancel: true, manage_schedule: true },
+            medical_records: { view: true, create: true, edit: true, delete: true, export: true },
+            prescriptions: { view: true, create: true, edit: true, delete: true, print: true },
+            lab_tests: { view: true, create: true, edit: true, delete: true, approve: true },
+            billing: { view: true, create: true, edit: true, delete: true, process_payments: true, view_reports: true },
+            users: { view: true, create: true, edit: true, delete: true, manage_roles: true },
+            clinics: { view: true, create: true, edit: true, delete: true, manage_settings: true },
+            reports: { view: true, create: true, export: true, schedule: true },
+            settings: { view: true, edit: true, manage_integrations: true, view_logs: true }
+        },
+        is_system_role: true
+    },
+    {
+        name: 'Doctor',
+        description: 'Medical practitioner with patient care access',
+        permissions: {
+            dashboard: { view: true, analytics: true },
+            patients: { view: true, create: true, edit: true, export: true },
+            appointments: { view: true, create: true, edit: true, cancel: true },
+            medical_records: { view: true, create: true, edit: true, export: true },
+            prescriptions: { view: true, create: true, edit: true, print: true },
+            lab_tests: { view: true, create: true, edit: true, approve: true },
+            billing: { view: true, view_reports: true },
+            reports: { view: true, create: true, export: true }
+        },
+        is_system_role: true
+    },
+    {
+        name: 'Nurse',
+        description: 'Healthcare assistant with limited medical access',
+        permissions: {
+            dashboard: { view: true },
+            patients: { view: true, create: true, edit: true },
+            appointments: { view: true, create: true, edit: true },
+            medical_records: { view: true, create: true, edit: true },
+            prescriptions: { view: true },
+            lab_tests: { view: true, create: true, edit: true },
+            billing: { view: true }
+        },
+        is_system_role: true
+    },
+    {
+        name: 'Receptionist',
+        description: 'Front desk staff with administrative access',
+        permissions: {
+            dashboard: { view: true },
+            patients: { view: true, create: true, edit: true },
+            appointments: { view: true, create: true, edit: true, cancel: true, manage_schedule: true },
+            medical_records: { view: true },
+            prescriptions: { view: true },
+            lab_tests: { view: true },
+            billing: { view: true, create: true, edit: true, process_payments: true }
+        },
+        is_system_role: true
+    },
+    {
+        name: 'Patient',
+        description: 'Patient with limited access to own records',
+        permissions: {
+            dashboard: { view: true },
+            patients: { view: true },
+            appointments: { view: true, create: true, edit: true, cancel: true },
+            medical_records: { view: true },
+            prescriptions: { view: true, print: true },
+            lab_tests: { view: true },
+            billing: { view: true }
+        },
+        is_system_role: true
+    }
+];
+
+// Default role standing in for each legacy user.role value
+const LEGACY_ROLE_NAMES = {
+    admin: 'Super Admin',
+    doctor: 'Doctor',
+    staff: 'Receptionist',
+    patient: 'Patient'
+};
+
 const roleSchema = new mongoose.Schema({
     tenant_id: {
         type: mongoose.Schema.Types.ObjectId,
@@ -150,91 +237,65 @@ roleSchema.statics.findByName = function(tenantId, name) {
     });
 };
 
-roleSchema.statics.createDefaultRoles = function(tenantId) {
-    const defaultRoles = [
-        {
-            tenant_id: tenantId,
-            name: 'Super Admin',
-            description: 'Full access to all features',
-            permissions: {
-                dashboard: { view: true, analytics: true },
-                patients: { view: true, create: true, edit: true, delete: true, export: true },
-                appointments: { view: true, create: true, edit: true, delete: true, cancel: true, manage_schedule: true },
-                medical_records: { view: true, create: true, edit: true, delete: true, export: true },
-                prescriptions: { view: true, create: true, edit: true, delete: true, print: true },
-                lab_tests: { view: true, create: true, edit: true, delete: true, approve: true },
-                billing: { view: true, create: true, edit: true, delete: true, process_payments: true, view_reports: true },
-                users: { view: true, create: true, edit: true, delete: true, manage_roles: true },
-                clinics: { view: true, create: true, edit: true, delete: true, manage_settings: true },
-                reports: { view: true, create: true, export: true, schedule: true },
-                settings: { view: true, edit: true, manage_integrations: true, view_logs: true }
-            },
-            is_system_role: true
-        },
-        {
-            tenant_id: tenantId,
-            name: 'Doctor',
-            description: 'Medical practitioner with patient care access',
-            permissions: {
-                dashboard: { view: true, analytics: true },
-                patients: { view: true, create: true, edit: true, export: true },
-                appointments: { view: true, create: true, edit: true, cancel: true },
-                medical_records: { view: true, create: true, edit: true, export: true },
-                prescriptions: { view: true, create: true, edit: true, print: true },
-                lab_tests: { view: true, create: true, edit: true, approve: true },
-                billing: { view: true, view_reports: true },
-                reports: { view: true, create: true, export: true }
-            },
-            is_system_role: true
-        },
-        {
-            tenant_id: tenantId,
-            name: 'Nurse',
-            description: 'Healthcare assistant with limited medical access',
-            permissions: {
-                dashboard: { view: true },
-                patients: { view: true, create: true, edit: true },
-                appointments: { view: true, create: true, edit: true },
-                medical_records: { view: true, create: true, edit: true },
-                prescriptions: { view: true },
-                lab_tests: { view: true, create: true, edit: true },
-                billing: { view: true }
-            },
-            is_system_role: true
-        },
-        {
-            tenant_id: tenantId,
-            name: 'Receptionist',
-            description: 'Front desk staff with administrative access',
-            permissions: {
-                dashboard: { view: true },
-                patients: { view: true, create: true, edit: true },
-                appointments: { view: true, create: true, edit: true, cancel: true, manage_schedule: true },
-                medical_records: { view: true },
-                prescriptions: { view: true },
-                lab_tests: { view: true },
-                billing: { view: true, create: true, edit: true, process_payments: true }
-            },
-            is_system_role: true
-        },
-        {
-            tenant_id: tenantId,
-            name: 'Patient',
-            description: 'Patient with limited access to own records',
-            permissions: {
-                dashboard: { view: true },
-                patients: { view: true },
-                appointments: { view: true, create: true, edit: true, cancel: true },
-                medical_records: { view: true },
-                prescriptions: { view: true, print: true },
-                lab_tests: { view: true },
-                billing: { view: true }
-            },
-            is_system_role: true
+roleSchema.statics.DEFAULT_ROLES = DEFAULT_ROLES;
+
+// First module.action in a permissions payload that the matrix doesn't define
+// or that isn't a boolean; null when the payload is valid
+roleSchema.statics.findInvalidPermission = function(permissions) {
+    for (const [module, actions] of Object.entries(permissions)) {
+        if (this.schema.pathType(`permissions.${module}`) !== 'nested' ||
+            !actions || typeof actions !== 'object' || Array.isArray(actions)) {
+            return module;
+        }
+        for (const [action, value] of Object.entries(actions)) {
+            if (!this.schema.path(`permissions.${module}.${action}`) || typeof value !== 'boolean') {
+                return `${module}.${action}`;
+            }
         }
-    ];
+    }
+    return null;
+};
 
-    return this.insertMany(defaultRoles);
+// Other active roles of the tenant granting module.action
+roleSchema.statics.countOthersWithPermission = function(tenantId, module, action, excludeId) {
+    return this.countDocuments({
+        tenant_id: tenantId,
+        _id: { $ne: excludeId },
+        [`permissions.${module}.${action}`]: true,
+        is_active: true,
+        deleted_at: null
+    });
+};
+
+// options are passed to insertMany, e.g. { session } inside a transaction
+roleSchema.statics.createDefaultRoles = function(tenantId, options = {}) {
+    return this.insertMany(DEFAULT_ROLES.map(role => ({ ...role, tenant_id: tenantId })), options);
+};
+
+// Role used for permission checks. Users without a role_id fall back to the
+// default role matching their legacy user.role, and tenants that never seeded
+// roles fall back to the built-in definition.
+roleSchema.statics.resolveForUser = async function(user) {
+    if (user.role_id) {
+        return this.findOne({
+            _id: user.role_id,
+            tenant_id: user.tenant_id,
+            is_active: true,
+            deleted_at: null
+        });
+    }
+
+    const name = LEGACY_ROLE_NAMES[user.role];
+    const role = await this.findOne({
+        tenant_id: user.tenant_id,
+        name: name,
+        is_active: true,
+        deleted_at: null
+    });
+    if (role) return role;
+
+    const definition = DEFAULT_ROLES.find(item => item.name === name);
+    return definition ? new this({ ...definition, tenant_id: user.tenant_id }) : null;
 };
 
 // Instance methods
@@ -242,11 +303,29 @@ roleSchema.methods.hasPermission = function(module, action) {
     return this.permissions[module] && this.permissions[module][action] === true;
 };
 
+// Merge action flags per module, so { patients: { edit: true } } leaves the
+// other patient actions as they were
 roleSchema.methods.updatePermissions = function(newPermissions) {
-    this.permissions = { ...this.permissions, ...newPermissions };
+    Object.entries(newPermissions).forEach(([module, actions]) => {
+        Object.entries(actions).forEach(([action, value]) => {
+            this.set(`permissions.${module}.${action}`, value);
+        });
+    });
     return this.save();
 };
 
+// Plain { module: { action: Boolean } } matrix with every known action filled in
+roleSchema.methods.getPermissionMatrix = function() {
+    const matrix = {};
+    this.schema.eachPath(path => {
+        const [root, module, action] = path.split('.');
+        if (root !== 'permissions' || !action) return;
+        matrix[module] = matrix[module] || {};
+        matrix[module][action] = this.get(path) === true;
+    });
+    return matrix;
+};
+
 roleSchema.methods.softDelete = function() {
     this.deleted_at = new Date();
     this.is_active = false;
@@ -1,4 +1,43 @@
 const mongoose = require('mongoose');
+const { isValidTimeZone } = require('../utils/time-zone');
+
+const HEX_COLOR = /^#[0-9A-Fa-f]{6}$/;
+
+const isValidLocale = (locale) => {
+    try {
+        return Intl.getCanonicalLocales(locale).length === 1;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Per-document-type overrides of the numbering defaults in services/numbering.js
+const numberingFormat = () => ({
+    prefix: {
+        type: String,
+        trim: true,
+        maxlength: 10,
+        match: [/^[A-Za-z0-9]*$/, 'Prefix may only contain letters and numbers']
+    },
+    template: {
+        type: String,
+        trim: true,
+        maxlength: 50,
+        validate: {
+            validator: (template) => template.includes('{seq}'),
+            message: 'Template must include {seq}'
+        }
+    },
+    padding: {
+        type: Number,
+        min: 1,
+        max: 12
+    },
+    reset: {
+        type: String,
+        enum: ['never', 'yearly']
+    }
+});
 
 const tenantSchema = new mongoose.Schema({
     name: {
@@ -57,8 +96,98 @@ const tenantSchema = new mongoose.Schema({
         trim: true
     },
     settings: {
-        type: mongoose.Schema.Types.Mixed,
-        default: {}
+        // Defaults for new clinics
+        timezone: {
+            type: String,
+            default: 'UTC',
+            validate: {
+                validator: isValidTimeZone,
+                message: 'Unknown time zone'
+            }
+        },
+        currency: {
+            type: String,
+            default: 'USD',
+            uppercase: true,
+            match: [/^[A-Za-z]{3}$/, 'Currency must be a 3-letter ISO code']
+        },
+        locale: {
+            type: String,
+            default: 'en-US',
+            validate: {
+                validator: isValidLocale,
+                message: 'Unknown locale'
+            }
+        },
+        numbering: {
+            patient: numberingFormat(),
+            appointment: numberingFormat(),
+            medical_record: numberingFormat(),
+            invoice: numberingFormat(),
+            payment: numberingFormat()
+        },
+        // Minutes before the appointment at which reminders go out
+        reminders: {
+            offsets_minutes: {
+                type: [{ type: Number, min: 5, max: 14 * 24 * 60 }],
+                default: () => [24 * 60, 2 * 60]
+            },
+            channels: {
+                type: [{ type: String, enum: ['email', 'sms', 'push'] }],
+                default: () => ['email']
+            }
+        },
+        waitlist: {
+            hold_minutes: {
+                type: Number,
+                default: 30,
+                min: 5,
+                max: 24 * 60
+            }
+        },
+        invoices: {
+            due_days: {
+                type: Number,
+                default: 30,
+                min: 0,
+                max: 365
+            },
+            tax_rate: {
+                type: Number,
+                default: 0,
+                min: 0,
+                max: 1
+            },
+            late_fee: {
+                type: Number,
+                default: 0,
+                min: 0
+            },
+            footer: {
+                type: String,
+                trim: true,
+                maxlength: 1000
+            }
+        },
+        branding: {
+            primary_color: {
+                type: String,
+                default: '#2563EB',
+                match: [HEX_COLOR, 'Colour must be a hex value like #2563EB']
+            },
+            secondary_color: {
+                type: String,
+                default: '#0F172A',
+                match: [HEX_COLOR, 'Colour must be a hex value like #0F172A']
+            }
+        },
+        security: {
+            // Staff must enrol in two-factor authentication
+            require_mfa: {
+                type: Boolean,
+                default: false
+            }
+        }
     },
     subscription_plan: {
         type: String,
@@ -67,9 +196,13 @@ const tenantSchema = new mongoose.Schema({
     },
     subscription_status: {
         type: String,
-        enum: ['active', 'inactive', 'suspended', 'cancelled'],
+        enum: ['trial', 'active', 'inactive', 'suspended', 'cancelled'],
         default: 'active'
     },
+    trial_ends_at: {
+        type: Date,
+        default: null
+    },
     max_users: {
         type: Number,
         default: 10,
@@ -119,6 +252,15 @@ tenantSchema.methods.softDelete = function() {
     return this.save();
 };
 
+// Regional settings a new clinic starts from
+tenantSchema.methods.getClinicDefaults = function() {
+    return {
+        timezone: this.settings.timezone,
+        currency: this.settings.currency,
+        language: this.settings.locale.split('-')[0]
+    };
+};
+
 tenantSchema.methods.restore = function() {
     this.deleted_at = null;
     this.is_active = true;
@@ -11,10 +11,16 @@ const userSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Role'
     },
+    // Primary clinic, e.g. where the user is booked by default
     clinic_id: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Clinic'
     },
+    // Clinics the user works at; empty means every clinic in the tenant
+    clinic_ids: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Clinic'
+    }],
     first_name: {
         type: String,
         required: true,
@@ -102,6 +108,67 @@ const userSchema = new mongoose.Schema({
     last_login_at: {
         type: Date
     },
+    // Consecutive failed logins since the last success or lock
+    failed_login_attempts: {
+        type: Number,
+        default: 0
+    },
+    // Locks so far in the current streak; each one lasts longer
+    lockout_count: {
+        type: Number,
+        default: 0
+    },
+    locked_until: {
+        type: Date,
+        default: null
+    },
+    // TOTP two-factor authentication; secrets are encrypted, recovery codes hashed
+    mfa: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: String,
+            select: false
+        },
+        // Secret awaiting its first valid code during enrolment
+        pending_secret: {
+            type: String,
+            select: false
+        },
+        recovery_codes: {
+            type: [String],
+            select: false
+        },
+        // Last accepted time step, so a code can't be used twice
+        last_used_step: {
+            type: Number,
+            select: false
+        },
+        enabled_at: {
+            type: Date
+        }
+    },
+    // Staff added by an admin join through an emailed invitation
+    invited_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    invited_at: {
+        type: Date,
+        default: null
+    },
+    invitation_accepted_at: {
+        type: Date,
+        default: null
+    },
+    // Bumped to invalidate every access token issued before it
+    token_version: {
+        type: Number,
+        default: 0
+    },
     deleted_at: {
         type: Date,
         default: null
@@ -116,6 +183,7 @@ userSchema.index({ tenant_id: 1, email: 1 }, { unique: true });
 userSchema.index({ tenant_id: 1 });
 userSchema.index({ role_id: 1 });
 userSchema.index({ clinic_id: 1 });
+userSchema.index({ clinic_ids: 1 });
 userSchema.index({ tenant_id: 1, role: 1 });
 userSchema.index({ tenant_id: 1, is_active: 1 });
 userSchema.index({ tenant_id: 1, deleted_at: 1 });
@@ -183,6 +251,15 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
     return bcrypt.compare(candidatePassword, this.password_hash);
 };
 
+// Invited but has not yet chosen a password
+userSchema.methods.isInvitationPending = function() {
+    return !!this.invited_at && !this.invitation_accepted_at;
+};
+
+userSchema.methods.isLocked = function() {
+    return !!this.locked_until && this.locked_until > new Date();
+};
+
 userSchema.methods.updateLastLogin = function() {
     this.last_login_at = new Date();
     return this.save();
@@ -213,10 +290,30 @@ userSchema.pre('save', async function(next) {
     if (this.email) {
         this.email = this.email.toLowerCase();
     }
+
+    // A new password or a disabled account ends every existing session
+    if (!this.isNew) {
+        if (this.isModified('password_hash')) {
+            this.$locals.revokeSessions = 'password_changed';
+        } else if (this.isModified('is_active') && !this.is_active) {
+            this.$locals.revokeSessions = 'deactivated';
+        }
+        if (this.$locals.revokeSessions) {
+            this.token_version += 1;
+        }
+    }
     
     next();
 });
 
+userSchema.post('save', async function() {
+    const reason = this.$locals.revokeSessions;
+    if (reason) {
+        delete this.$locals.revokeSessions;
+        await mongoose.model('RefreshToken').revokeForUser(this._id, reason);
+    }
+});
+
 // Pre-remove middleware
 userSchema.pre('remove', async function(next) {
     // Remove related records
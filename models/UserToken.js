@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Single-use tokens mailed to a user: password reset, email verification and
+// staff invitations.
+// Only the hash is stored; the raw token exists in the email alone.
+const userTokenSchema = new mongoose.Schema({
+    tenant_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tenant',
+        required: true
+    },
+    user_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    purpose: {
+        type: String,
+        enum: ['password_reset', 'email_verification', 'invitation'],
+        required: true
+    },
+    token_hash: {
+        type: String,
+        required: true
+    },
+    // Email the token was sent to; verification only counts for that address
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    expires_at: {
+        type: Date,
+        required: true
+    },
+    used_at: {
+        type: Date,
+        default: null
+    },
+    // Admin who triggered the email, when it wasn't the user themselves
+    requested_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true,
+    collection: 'user_tokens'
+});
+
+// Indexes
+userTokenSchema.index({ token_hash: 1 }, { unique: true });
+userTokenSchema.index({ user_id: 1, purpose: 1, used_at: 1 });
+// Expired tokens are purged by MongoDB
+userTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Static methods
+userTokenSchema.statics.hashToken = function(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+userTokenSchema.statics.generateToken = function() {
+    return crypto.randomBytes(32).toString('hex');
+};
+
+// Mark the token used and return it, or null if it is unknown, expired or
+// already used. Atomic, so a token can never be redeemed twice.
+userTokenSchema.statics.consume = function(token, purpose) {
+    return this.findOneAndUpdate(
+        {
+            token_hash: this.hashToken(String(token)),
+            purpose,
+            used_at: null,
+            expires_at: { $gt: new Date() }
+        },
+        { $set: { used_at: new Date() } },
+        { new: true }
+    );
+};
+
+// Only the most recently mailed token of a purpose stays valid
+userTokenSchema.statics.invalidateForUser = function(userId, purpose) {
+    return this.updateMany(
+        { user_id: userId, purpose, used_at: null },
+        { $set: { used_at: new Date() } }
+    );
+};
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
@@ -0,0 +1,232 @@
+const mongoose = require('mongoose');
+
+const waitlistEntrySchema = new mongoose.Schema({
+    tenant_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tenant',
+        required: true
+    },
+    patient_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient',
+        required: true
+    },
+    clinic_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Clinic',
+        default: null
+    },
+    doctor_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    service_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    preferred_windows: [{
+        start: {
+            type: Date,
+            required: true
+        },
+        end: {
+            type: Date,
+            required: true
+        }
+    }],
+    priority: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 10
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    status: {
+        type: String,
+        // 'booking' while an accepted offer is being turned into an appointment
+        enum: ['waiting', 'offered', 'booking', 'booked', 'cancelled'],
+        default: 'waiting'
+    },
+    offer: {
+        source_appointment_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Appointment'
+        },
+        clinic_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Clinic'
+        },
+        doctor_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        service_id: {
+            type: mongoose.Schema.Types.ObjectId
+        },
+        // Patient whose cancellation freed the slot; never offered it back
+        source_patient_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Patient'
+        },
+        resource_ids: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Resource'
+        }],
+        title: {
+            type: String,
+            trim: true
+        },
+        start_time: {
+            type: Date
+        },
+        end_time: {
+            type: Date
+        },
+        offered_at: {
+            type: Date
+        },
+        expires_at: {
+            type: Date
+        }
+    },
+    // Slots this entry already declined or let expire, so they are not re-offered
+    passed_offers: [{
+        doctor_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        start_time: {
+            type: Date
+        }
+    }],
+    appointment_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Appointment',
+        default: null
+    },
+    created_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    deleted_at: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true,
+    collection: 'waitlist_entries'
+});
+
+// Indexes
+waitlistEntrySchema.index({ tenant_id: 1, status: 1, priority: -1, createdAt: 1 });
+waitlistEntrySchema.index({ tenant_id: 1, patient_id: 1 });
+waitlistEntrySchema.index({ status: 1, 'offer.expires_at': 1 });
+
+// Static methods
+waitlistEntrySchema.statics.findByTenant = function(tenantId, status = null) {
+    const query = { tenant_id: tenantId, deleted_at: null };
+    if (status) {
+        query.status = status;
+    }
+
+    return this.find(query)
+        .populate('patient_id', 'first_name last_name patient_id')
+        .populate('doctor_id', 'first_name last_name')
+        .sort({ priority: -1, createdAt: 1 });
+};
+
+// Waiting entries that could take a freed slot, best match first
+waitlistEntrySchema.statics.findCandidates = function(tenantId, slot) {
+    return this.find({
+        tenant_id: tenantId,
+        status: 'waiting',
+        deleted_at: null,
+        doctor_id: { $in: [null, slot.doctor_id] },
+        clinic_id: { $in: [null, slot.clinic_id] },
+        service_id: { $in: [null, slot.service_id || null] },
+        patient_id: { $ne: slot.patient_id },
+        passed_offers: {
+            $not: { $elemMatch: { doctor_id: slot.doctor_id, start_time: slot.start_time } }
+        },
+        $or: [
+            { preferred_windows: { $size: 0 } },
+            { preferred_windows: { $elemMatch: { start: { $lte: slot.start_time }, end: { $gte: slot.end_time } } } }
+        ]
+    })
+    .sort({ priority: -1, createdAt: 1 });
+};
+
+// Atomically move an open offer to 'booking' so only one accept can book it.
+// Resolves the claimed entry, or null when there is no open offer.
+waitlistEntrySchema.statics.claimOffer = function(entryId) {
+    return this.findOneAndUpdate(
+        { _id: entryId, status: 'offered', deleted_at: null },
+        { $set: { status: 'booking' } },
+        { new: true }
+    );
+};
+
+// Atomically offer a slot to a waiting entry, so two freed slots can't both
+// go to it. Resolves the offered entry, or null when it is no longer waiting.
+waitlistEntrySchema.statics.offerTo = function(entryId, slot, holdMinutes) {
+    const now = new Date();
+    return this.findOneAndUpdate(
+        { _id: entryId, status: 'waiting', deleted_at: null },
+        {
+            $set: {
+                status: 'offered',
+                offer: {
+                    source_appointment_id: slot.source_appointment_id,
+                    clinic_id: slot.clinic_id,
+                    doctor_id: slot.doctor_id,
+                    service_id: slot.service_id,
+                    source_patient_id: slot.patient_id,
+                    resource_ids: slot.resource_ids || [],
+                    title: slot.title,
+                    start_time: slot.start_time,
+                    end_time: slot.end_time,
+                    offered_at: now,
+                    expires_at: new Date(now.getTime() + holdMinutes * 60 * 1000)
+                }
+            }
+        },
+        { new: true }
+    );
+};
+
+// Instance methods
+// Return to the queue, remembering the slot so it is not offered again
+waitlistEntrySchema.methods.releaseOffer = function() {
+    if (this.offer && this.offer.start_time) {
+        this.passed_offers.push({
+            doctor_id: this.offer.doctor_id,
+            start_time: this.offer.start_time
+        });
+    }
+    this.status = 'waiting';
+    this.offer = undefined;
+    return this.save();
+};
+
+waitlistEntrySchema.methods.markBooked = function(appointmentId) {
+    this.status = 'booked';
+    this.appointment_id = appointmentId;
+    return this.save();
+};
+
+waitlistEntrySchema.methods.cancel = function() {
+    this.status = 'cancelled';
+    this.offer = undefined;
+    return this.save();
+};
+
+waitlistEntrySchema.virtual('offer_expired').get(function() {
+    return this.status === 'offered' && this.offer && this.offer.expires_at < new Date();
+});
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
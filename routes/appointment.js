@@ -1,48 +1,116 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const { body, query, validationResult } = require('express-validator');
 
 const Appointment = require('../models/Appointment');
-const { appointmentHelpers } = require('../utils/database-helpers');
+const AppointmentSeries = require('../models/AppointmentSeries');
+const Clinic = require('../models/Clinic');
+const { appointmentHelpers, validationHelpers } = require('../utils/database-helpers');
+const { normalizeRule, expandOccurrences } = require('../utils/recurrence');
+const { withTransaction } = require('../utils/transaction');
+const listQuery = require('../utils/list-query');
+const waitlist = require('../services/waitlist');
+const appointmentNotifications = require('../services/appointment-notifications');
+const { auth, canAccessClinic, clinicScopeFilter, hasPermission, isPatientScoped, ownsPatient, patientScopeFilter, requirePermission, staffOnly } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Middleware to protect routes
-const auth = async (req, res, next) => {
-  try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_AVAILABILITY_RANGE_DAYS = 31;
+const SERIES_SCOPES = ['this', 'following', 'all'];
 
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'No token, authorization denied'
-      });
-    }
+// List query options for GET /api/appointments
+const APPOINTMENT_LIST = {
+  filters: ['status', 'doctor_id', 'clinic_id', 'patient_id', 'service_id', 'series_id'],
+  dateFilters: ['start_time', 'createdAt'],
+  sortable: ['start_time', 'createdAt', 'appointment_number'],
+  defaultSort: 'start_time',
+  populate: [
+    ['patient_id', 'first_name last_name patient_id'],
+    ['doctor_id', 'first_name last_name']
+  ]
+};
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded.user;
-    next();
-  } catch (error) {
-    res.status(401).json({
-      success: false,
-      message: 'Token is not valid'
-    });
-  }
+// Status actions exposed over PATCH /:id/:action, mapped to model methods
+const STATUS_ACTIONS = {
+  confirm: (appointment, req) => appointment.confirm(req.user.id),
+  start: (appointment, req) => appointment.start(req.user.id),
+  complete: (appointment, req) => appointment.complete(req.user.id),
+  // Express 5 leaves req.body undefined when a PATCH has no body
+  cancel: (appointment, req) => appointment.cancel((req.body || {}).reason, req.user.id),
+  'no-show': (appointment, req) => appointment.markNoShow(req.user.id)
 };
 
+// Patients may confirm or cancel their own appointments; the rest is front desk work
+const PATIENT_ACTIONS = ['confirm', 'cancel'];
+
+const requireActionPermission = (req, res, next) =>
+  requirePermission('appointments', req.params.action === 'cancel' ? 'cancel' : 'edit')(req, res, next);
+
+const findAppointment = (req) => Appointment.findOne({
+  _id: req.params.id,
+  tenant_id: req.user.tenant_id,
+  deleted_at: null,
+  ...patientScopeFilter(req),
+  ...clinicScopeFilter(req)
+});
+
+// Resolve start/end times from a request body, falling back to duration_minutes
+const resolveTimes = ({ start_time, end_time, duration_minutes }) => {
+  const startTime = new Date(start_time);
+  const endTime = end_time
+    ? new Date(end_time)
+    : new Date(startTime.getTime() + (parseInt(duration_minutes) || 30) * 60 * 1000);
+
+  return { startTime, endTime };
+};
+
+const formatConflict = (conflict) => ({
+  id: conflict._id,
+  appointment_number: conflict.appointment_number,
+  start_time: conflict.start_time,
+  end_time: conflict.end_time,
+  status: conflict.status
+});
+
+const formatSeriesClash = (clash) => ({
+  start_time: clash.start_time,
+  end_time: clash.end_time,
+  conflicts: clash.conflicts.map(formatConflict),
+  unavailable: clash.unavailable
+});
+
+// Schedule managers may book into blocked or off-hours time by passing override_availability
+const canOverrideAvailability = (req) => (req.body || {}).override_availability === true &&
+  hasPermission(req, 'appointments', 'manage_schedule');
+
 // @route   GET /api/appointments
 // @desc    Get all appointments for tenant
 // @access  Private
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, requirePermission('appointments', 'view'), async (req, res) => {
   try {
-    const appointments = await Appointment.findByTenant(req.user.tenant_id);
-    
+    const result = await listQuery.find(Appointment, {
+      tenant_id: req.user.tenant_id,
+      deleted_at: null,
+      ...patientScopeFilter(req),
+      ...clinicScopeFilter(req)
+    }, req.query, APPOINTMENT_LIST);
+
+    res.set('X-Total-Count', String(result.total));
     res.json({
       success: true,
-      count: appointments.length,
-      data: appointments
+      count: result.data.length,
+      pagination: result.pagination,
+      data: result.data
     });
 
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Get appointments error:', error);
     res.status(500).json({
       success: false,
@@ -54,17 +122,38 @@ router.get('/', auth, async (req, res) => {
 // @route   GET /api/appointments/upcoming
 // @desc    Get upcoming appointments
 // @access  Private
-router.get('/upcoming', auth, async (req, res) => {
+router.get('/upcoming', auth, requirePermission('appointments', 'view'), async (req, res) => {
   try {
-    const appointments = await Appointment.findUpcoming(req.user.tenant_id, req.user.id);
-    
+    const filter = {
+      tenant_id: req.user.tenant_id,
+      start_time: { $gte: new Date() },
+      status: { $in: ['scheduled', 'confirmed'] },
+      deleted_at: null,
+      ...patientScopeFilter(req),
+      ...clinicScopeFilter(req)
+    };
+    if (!isPatientScoped(req)) {
+      filter.doctor_id = req.user.id;
+    }
+
+    const result = await listQuery.find(Appointment, filter, req.query, APPOINTMENT_LIST);
+
+    res.set('X-Total-Count', String(result.total));
     res.json({
       success: true,
-      count: appointments.length,
-      data: appointments
+      count: result.data.length,
+      pagination: result.pagination,
+      data: result.data
     });
 
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Get upcoming appointments error:', error);
     res.status(500).json({
       success: false,
@@ -73,13 +162,88 @@ router.get('/upcoming', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/appointments/availability
+// @desc    Find open booking slots for a doctor across clinic working hours
+// @access  Private
+router.get('/availability', auth, requirePermission('appointments', 'view'), [
+  query('doctorId', 'Valid doctor is required').isMongoId(),
+  query('clinicId', 'Invalid clinic').optional().isMongoId(),
+  query('serviceId', 'Invalid service').optional().isMongoId(),
+  query('resourceIds', 'Invalid resources').optional().custom(value =>
+    String(value).split(',').every(id => /^[a-f\d]{24}$/i.test(id))
+  ),
+  query('from', 'From must be a valid date').optional().isISO8601(),
+  query('to', 'To must be a valid date').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 7 * DAY_MS);
+
+    if (to <= from) {
+      return res.status(400).json({
+        success: false,
+        message: 'To must be after from'
+      });
+    }
+
+    if (to - from > MAX_AVAILABILITY_RANGE_DAYS * DAY_MS) {
+      return res.status(400).json({
+        success: false,
+        message: `Availability range cannot exceed ${MAX_AVAILABILITY_RANGE_DAYS} days`
+      });
+    }
+
+    if (req.query.clinicId && !canAccessClinic(req, req.query.clinicId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid clinic'
+      });
+    }
+
+    const slots = await appointmentHelpers.findAvailableSlots(req.user.tenant_id, {
+      doctorId: req.query.doctorId,
+      clinicId: req.query.clinicId,
+      clinicFilter: clinicScopeFilter(req, '_id'),
+      serviceId: req.query.serviceId,
+      resourceIds: req.query.resourceIds ? String(req.query.resourceIds).split(',') : [],
+      from,
+      to
+    });
+
+    res.json({
+      success: true,
+      count: slots.length,
+      next_available: slots[0] || null,
+      data: slots
+    });
+
+  } catch (error) {
+    console.error('Get availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/appointments/doctor/:doctorId/schedule/:date
 // @desc    Get doctor's schedule for a specific date
 // @access  Private
-router.get('/doctor/:doctorId/schedule/:date', auth, async (req, res) => {
+router.get('/doctor/:doctorId/schedule/:date', auth, requirePermission('appointments', 'view'), staffOnly, async (req, res) => {
   try {
     const date = new Date(req.params.date);
-    const schedule = await appointmentHelpers.getDoctorSchedule(req.user.tenant_id, req.params.doctorId, date);
+    const schedule = await appointmentHelpers.getDoctorSchedule(
+      req.user.tenant_id, req.params.doctorId, date, clinicScopeFilter(req)
+    );
     
     res.json({
       success: true,
@@ -95,4 +259,741 @@ router.get('/doctor/:doctorId/schedule/:date', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/appointments/:id
+// @desc    Get appointment by ID
+// @access  Private
+router.get('/:id', auth, requirePermission('appointments', 'view'), async (req, res) => {
+  try {
+    const appointment = await findAppointment(req)
+      .populate('patient_id', 'first_name last_name patient_id')
+      .populate('doctor_id', 'first_name last_name');
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: appointment
+    });
+
+  } catch (error) {
+    console.error('Get appointment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/appointments
+// @desc    Book a new appointment
+// @access  Private
+router.post('/', auth, requirePermission('appointments', 'create'), [
+  body('patient_id', 'Valid patient is required').isMongoId(),
+  body('doctor_id', 'Valid doctor is required').isMongoId(),
+  body('clinic_id', 'Valid clinic is required').isMongoId(),
+  body('service_id', 'Invalid service').optional().isMongoId(),
+  body('resource_ids', 'Resources must be a list').optional().isArray(),
+  body('resource_ids.*', 'Invalid resource').isMongoId(),
+  body('title', 'Title is required').not().isEmpty(),
+  body('start_time', 'Start time must be a valid date').isISO8601(),
+  body('end_time', 'End time must be a valid date').optional().isISO8601(),
+  body('duration_minutes', 'Duration must be a positive number').optional().isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { patient_id, doctor_id, clinic_id, service_id, title, description, notes } = req.body;
+    const resourceIds = req.body.resource_ids || [];
+    const { startTime, endTime } = resolveTimes(req.body);
+
+    if (endTime <= startTime) {
+      return res.status(400).json({
+        success: false,
+        message: 'End time must be after start time'
+      });
+    }
+
+    const hasAccess = ownsPatient(req, patient_id) &&
+      await validationHelpers.validateDoctorAccess(req.user.tenant_id, doctor_id, patient_id);
+    if (!hasAccess) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid doctor or patient'
+      });
+    }
+
+    const clinic = canAccessClinic(req, clinic_id) &&
+      await Clinic.findOne({ _id: clinic_id, tenant_id: req.user.tenant_id, deleted_at: null });
+    if (!clinic) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid clinic'
+      });
+    }
+
+    const validResources = await appointmentHelpers.validateResources(req.user.tenant_id, clinic_id, resourceIds);
+    if (!validResources) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid resources for this clinic'
+      });
+    }
+
+    const conflicts = await appointmentHelpers.checkAppointmentConflicts(
+      req.user.tenant_id, doctor_id, startTime, endTime, null, resourceIds
+    );
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Doctor or a reserved resource is already booked in this time slot',
+        conflicts: conflicts.map(formatConflict)
+      });
+    }
+
+    if (!canOverrideAvailability(req)) {
+      const unavailable = await appointmentHelpers.checkDoctorAvailability(
+        req.user.tenant_id, doctor_id, clinic_id, startTime, endTime
+      );
+      if (unavailable) {
+        return res.status(409).json({
+          success: false,
+          message: unavailable
+        });
+      }
+    }
+
+    const appointment = new Appointment({
+      tenant_id: req.user.tenant_id,
+      clinic_id,
+      patient_id,
+      doctor_id,
+      service_id,
+      resource_ids: resourceIds,
+      appointment_number: await appointmentHelpers.generateAppointmentNumber(req.user.tenant_id, clinic_id),
+      title,
+      description,
+      notes,
+      start_time: startTime,
+      end_time: endTime,
+      duration_minutes: Math.round((endTime - startTime) / (1000 * 60)),
+      created_by: req.user.id
+    });
+
+    const reminderSettings = await appointmentHelpers.getReminderSettings(req.user.tenant_id);
+    appointment.scheduleReminders(reminderSettings.offsets_minutes, reminderSettings.channels);
+
+    await appointment.save();
+
+    res.status(201).json({
+      success: true,
+      data: appointment
+    });
+
+  } catch (error) {
+    console.error('Create appointment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/appointments/:id
+// @desc    Update or reschedule an appointment
+// @access  Private
+router.put('/:id', auth, requirePermission('appointments', 'edit'), [
+  body('doctor_id', 'Valid doctor is required').optional().isMongoId(),
+  body('clinic_id', 'Valid clinic is required').optional().isMongoId(),
+  body('resource_ids', 'Resources must be a list').optional().isArray(),
+  body('resource_ids.*', 'Invalid resource').isMongoId(),
+  body('title', 'Title cannot be empty').optional().not().isEmpty(),
+  body('start_time', 'Start time must be a valid date').optional().isISO8601(),
+  body('end_time', 'End time must be a valid date').optional().isISO8601(),
+  body('duration_minutes', 'Duration must be a positive number').optional().isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const appointment = await findAppointment(req);
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    if (!['scheduled', 'confirmed'].includes(appointment.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot update an appointment that is ${appointment.status}`
+      });
+    }
+
+    // Moving the start time without an explicit end keeps the original duration
+    const keepEndTime = !req.body.start_time && !req.body.duration_minutes;
+    const doctorId = req.body.doctor_id || appointment.doctor_id;
+    const { startTime, endTime } = resolveTimes({
+      start_time: req.body.start_time || appointment.start_time,
+      end_time: req.body.end_time || (keepEndTime ? appointment.end_time : undefined),
+      duration_minutes: req.body.duration_minutes || appointment.duration_minutes
+    });
+
+    if (endTime <= startTime) {
+      return res.status(400).json({
+        success: false,
+        message: 'End time must be after start time'
+      });
+    }
+
+    if (req.body.doctor_id) {
+      const hasAccess = await validationHelpers.validateDoctorAccess(req.user.tenant_id, doctorId);
+      if (!hasAccess) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid doctor'
+        });
+      }
+    }
+
+    if (req.body.clinic_id) {
+      const clinic = canAccessClinic(req, req.body.clinic_id) &&
+        await Clinic.findOne({ _id: req.body.clinic_id, tenant_id: req.user.tenant_id, deleted_at: null });
+      if (!clinic) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid clinic'
+        });
+      }
+    }
+
+    const clinicId = req.body.clinic_id || appointment.clinic_id;
+    const resourceIds = req.body.resource_ids || appointment.resource_ids;
+    const validResources = await appointmentHelpers.validateResources(req.user.tenant_id, clinicId, resourceIds);
+    if (!validResources) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid resources for this clinic'
+      });
+    }
+
+    const conflicts = await appointmentHelpers.checkAppointmentConflicts(
+      req.user.tenant_id, doctorId, startTime, endTime, appointment._id, resourceIds
+    );
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Doctor or a reserved resource is already booked in this time slot',
+        conflicts: conflicts.map(formatConflict)
+      });
+    }
+
+    if (!canOverrideAvailability(req)) {
+      const unavailable = await appointmentHelpers.checkDoctorAvailability(
+        req.user.tenant_id, doctorId, clinicId, startTime, endTime
+      );
+      if (unavailable) {
+        return res.status(409).json({
+          success: false,
+          message: unavailable
+        });
+      }
+    }
+
+    ['clinic_id', 'resource_ids', 'title', 'description', 'notes'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        appointment[field] = req.body[field];
+      }
+    });
+    appointment.doctor_id = doctorId;
+    appointment.start_time = startTime;
+    appointment.end_time = endTime;
+    appointment.duration_minutes = Math.round((endTime - startTime) / (1000 * 60));
+
+    if (appointment.isModified('start_time')) {
+      const reminderSettings = await appointmentHelpers.getReminderSettings(req.user.tenant_id);
+      appointment.scheduleReminders(reminderSettings.offsets_minutes, reminderSettings.channels);
+    }
+
+    await appointment.save();
+
+    res.json({
+      success: true,
+      data: appointment
+    });
+
+  } catch (error) {
+    console.error('Update appointment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/appointments/series
+// @desc    Book a recurring appointment series
+// @access  Private
+router.post('/series', auth, requirePermission('appointments', 'create'), [
+  body('patient_id', 'Valid patient is required').isMongoId(),
+  body('doctor_id', 'Valid doctor is required').isMongoId(),
+  body('clinic_id', 'Valid clinic is required').isMongoId(),
+  body('service_id', 'Invalid service').optional().isMongoId(),
+  body('resource_ids', 'Resources must be a list').optional().isArray(),
+  body('resource_ids.*', 'Invalid resource').isMongoId(),
+  body('title', 'Title is required').not().isEmpty(),
+  body('start_time', 'Start time must be a valid date').isISO8601(),
+  body('end_time', 'End time must be a valid date').optional().isISO8601(),
+  body('duration_minutes', 'Duration must be a positive number').optional().isInt({ min: 1 }),
+  body('recurrence', 'Recurrence rule is required').exists(),
+  body('skip_conflicts').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { patient_id, doctor_id, clinic_id, service_id, title, description, notes, skip_conflicts } = req.body;
+    const resourceIds = req.body.resource_ids || [];
+    const { startTime, endTime } = resolveTimes(req.body);
+    const durationMinutes = Math.round((endTime - startTime) / (1000 * 60));
+
+    if (endTime <= startTime) {
+      return res.status(400).json({
+        success: false,
+        message: 'End time must be after start time'
+      });
+    }
+
+    const { rule, error: ruleError } = normalizeRule(req.body.recurrence);
+    if (ruleError) {
+      return res.status(400).json({
+        success: false,
+        message: ruleError
+      });
+    }
+
+    const hasAccess = ownsPatient(req, patient_id) &&
+      await validationHelpers.validateDoctorAccess(req.user.tenant_id, doctor_id, patient_id);
+    if (!hasAccess) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid doctor or patient'
+      });
+    }
+
+    const clinic = canAccessClinic(req, clinic_id) &&
+      await Clinic.findOne({ _id: clinic_id, tenant_id: req.user.tenant_id, deleted_at: null });
+    if (!clinic) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid clinic'
+      });
+    }
+
+    const validResources = await appointmentHelpers.validateResources(req.user.tenant_id, clinic_id, resourceIds);
+    if (!validResources) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid resources for this clinic'
+      });
+    }
+
+    const timeZone = await clinic.resolveTimeZone();
+    const occurrences = expandOccurrences(rule, startTime, timeZone);
+    const clashes = await appointmentHelpers.findSeriesConflicts(req.user.tenant_id, {
+      doctorId: doctor_id,
+      clinicId: clinic_id,
+      resourceIds,
+      occurrences,
+      durationMinutes,
+      ignoreAvailability: canOverrideAvailability(req)
+    });
+
+    if (clashes.length > 0 && !skip_conflicts) {
+      return res.status(409).json({
+        success: false,
+        message: `${clashes.length} of ${occurrences.length} occurrences conflict with existing bookings or doctor availability`,
+        conflicts: clashes.map(formatSeriesClash)
+      });
+    }
+
+    const skippedTimes = clashes.map(clash => clash.start_time.getTime());
+    const reminderSettings = await appointmentHelpers.getReminderSettings(req.user.tenant_id);
+
+    // The series and its occurrences are saved together, so a failure part
+    // way through never leaves a series with only some of its appointments
+    const { series, appointments } = await withTransaction(async (session) => {
+      const series = new AppointmentSeries({
+        tenant_id: req.user.tenant_id,
+        clinic_id,
+        patient_id,
+        doctor_id,
+        title,
+        rule,
+        timezone: timeZone,
+        start_time: startTime,
+        duration_minutes: durationMinutes,
+        skipped_dates: clashes.map(clash => clash.start_time),
+        created_by: req.user.id
+      });
+      await series.save({ session });
+
+      const appointments = [];
+      for (const [index, occurrence] of occurrences.entries()) {
+        if (skippedTimes.includes(occurrence.getTime())) continue;
+
+        const appointment = new Appointment({
+          tenant_id: req.user.tenant_id,
+          clinic_id,
+          patient_id,
+          doctor_id,
+          service_id,
+          resource_ids: resourceIds,
+          appointment_number: await appointmentHelpers.generateAppointmentNumber(req.user.tenant_id, clinic_id),
+          title,
+          description,
+          notes,
+          start_time: occurrence,
+          end_time: new Date(occurrence.getTime() + durationMinutes * 60 * 1000),
+          duration_minutes: durationMinutes,
+          series_id: series._id,
+          series_index: index,
+          created_by: req.user.id
+        });
+        appointment.scheduleReminders(reminderSettings.offsets_minutes, reminderSettings.channels);
+        await appointment.save({ session });
+        appointments.push(appointment);
+      }
+
+      return { series, appointments };
+    });
+
+    res.status(201).json({
+      success: true,
+      count: appointments.length,
+      data: {
+        series,
+        appointments
+      },
+      skipped: clashes.map(formatSeriesClash)
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Create appointment series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/appointments/:id/series
+// @desc    Update one occurrence, this and following, or the whole series
+// @access  Private
+router.put('/:id/series', auth, requirePermission('appointments', 'edit'), [
+  body('scope', 'Scope must be one of this, following, all').isIn(SERIES_SCOPES),
+  body('doctor_id', 'Valid doctor is required').optional().isMongoId(),
+  body('clinic_id', 'Valid clinic is required').optional().isMongoId(),
+  body('resource_ids', 'Resources must be a list').optional().isArray(),
+  body('resource_ids.*', 'Invalid resource').isMongoId(),
+  body('title', 'Title cannot be empty').optional().not().isEmpty(),
+  body('start_time', 'Start time must be a valid date').optional().isISO8601(),
+  body('duration_minutes', 'Duration must be a positive number').optional().isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const appointment = await findAppointment(req);
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    if (!appointment.series_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Appointment is not part of a series'
+      });
+    }
+
+    if (req.body.doctor_id) {
+      const hasAccess = await validationHelpers.validateDoctorAccess(req.user.tenant_id, req.body.doctor_id);
+      if (!hasAccess) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid doctor'
+        });
+      }
+    }
+
+    if (req.body.clinic_id) {
+      const clinic = canAccessClinic(req, req.body.clinic_id) &&
+        await Clinic.findOne({ _id: req.body.clinic_id, tenant_id: req.user.tenant_id, deleted_at: null });
+      if (!clinic) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid clinic'
+        });
+      }
+    }
+
+    // A new start time on the selected occurrence shifts every target by the same amount
+    const shiftMs = req.body.start_time ? new Date(req.body.start_time) - appointment.start_time : 0;
+    const targets = await appointmentHelpers.getSeriesOccurrences(req.user.tenant_id, appointment, req.body.scope);
+    const targetIds = targets.map(target => target._id);
+
+    if (req.body.resource_ids) {
+      const clinicIds = [...new Set(targets.map(target => (req.body.clinic_id || target.clinic_id).toString()))];
+      for (const clinicId of clinicIds) {
+        if (!await appointmentHelpers.validateResources(req.user.tenant_id, clinicId, req.body.resource_ids)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid resources for this clinic'
+          });
+        }
+      }
+    }
+
+    const clashes = [];
+    for (const target of targets) {
+      const startTime = new Date(target.start_time.getTime() + shiftMs);
+      const durationMinutes = parseInt(req.body.duration_minutes) || target.duration_minutes;
+      const [clash] = await appointmentHelpers.findSeriesConflicts(req.user.tenant_id, {
+        doctorId: req.body.doctor_id || target.doctor_id,
+        clinicId: req.body.clinic_id || target.clinic_id,
+        resourceIds: req.body.resource_ids || target.resource_ids,
+        occurrences: [startTime],
+        durationMinutes,
+        excludeIds: targetIds,
+        ignoreAvailability: canOverrideAvailability(req)
+      });
+      if (clash) clashes.push(clash);
+    }
+
+    if (clashes.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${clashes.length} of ${targets.length} occurrences conflict with existing bookings or doctor availability`,
+        conflicts: clashes.map(formatSeriesClash)
+      });
+    }
+
+    const reminderSettings = await appointmentHelpers.getReminderSettings(req.user.tenant_id);
+
+    // Every occurrence changes or none does. They are reloaded in the session,
+    // so a retried transaction starts again from the stored appointments.
+    const updated = await withTransaction(async (session) => {
+      const saved = [];
+      for (const targetId of targetIds) {
+        const target = await Appointment.findById(targetId).session(session);
+
+        ['doctor_id', 'clinic_id', 'resource_ids', 'title', 'description', 'notes'].forEach(field => {
+          if (req.body[field] !== undefined) {
+            target[field] = req.body[field];
+          }
+        });
+
+        const durationMinutes = parseInt(req.body.duration_minutes) || target.duration_minutes;
+        target.start_time = new Date(target.start_time.getTime() + shiftMs);
+        target.end_time = new Date(target.start_time.getTime() + durationMinutes * 60 * 1000);
+        target.duration_minutes = durationMinutes;
+        if (shiftMs !== 0) {
+          target.scheduleReminders(reminderSettings.offsets_minutes, reminderSettings.channels);
+        }
+        saved.push(await target.save());
+      }
+      return saved;
+    });
+
+    res.json({
+      success: true,
+      count: updated.length,
+      data: updated
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update appointment series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/appointments/:id/series/cancel
+// @desc    Cancel one occurrence, this and following, or the whole series
+// @access  Private
+router.patch('/:id/series/cancel', auth, requirePermission('appointments', 'cancel'), [
+  body('scope', 'Scope must be one of this, following, all').isIn(SERIES_SCOPES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const appointment = await findAppointment(req);
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    if (!appointment.series_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Appointment is not part of a series'
+      });
+    }
+
+    const targets = await appointmentHelpers.getSeriesOccurrences(req.user.tenant_id, appointment, req.body.scope);
+    const cancelled = [];
+    for (const target of targets) {
+      if (!target.canTransitionTo('cancelled')) continue;
+      await target.cancel(req.body.reason, req.user.id);
+      cancelled.push(target);
+    }
+
+    // Runs in the background and logs its own errors; the cancellation already stands
+    waitlist.offerFreedSlots(cancelled);
+
+    if (req.body.scope === 'all') {
+      const series = await AppointmentSeries.findOne({ _id: appointment.series_id, tenant_id: req.user.tenant_id });
+      if (series) await series.cancel();
+    }
+
+    res.json({
+      success: true,
+      count: cancelled.length,
+      data: cancelled
+    });
+
+  } catch (error) {
+    console.error('Cancel appointment series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/appointments/:id/:action
+// @desc    Move an appointment through its lifecycle
+//          (confirm, start, complete, cancel, no-show)
+// @access  Private
+router.patch('/:id/:action', auth, requireActionPermission, async (req, res) => {
+  try {
+    // Own keys only, so prototype names like 'constructor' aren't actions
+    const transition = Object.hasOwn(STATUS_ACTIONS, req.params.action) && STATUS_ACTIONS[req.params.action];
+    if (!transition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown appointment action'
+      });
+    }
+
+    if (isPatientScoped(req) && !PATIENT_ACTIONS.includes(req.params.action)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    const appointment = await findAppointment(req);
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    await transition(appointment, req);
+
+    if (appointment.status === 'cancelled') {
+      waitlist.offerFreedSlot(appointment)
+        .catch(error => console.error('Waitlist offer error:', error));
+    }
+
+    if (appointment.status === 'confirmed') {
+      appointmentNotifications.sendConfirmation(appointment)
+        .catch(error => console.error('Appointment confirmation email error:', error));
+    }
+
+    res.json({
+      success: true,
+      data: appointment
+    });
+
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Appointment status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 module.exports = router;
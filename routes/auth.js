@@ -1,14 +1,98 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 
 const User = require('../models/User');
 const Tenant = require('../models/Tenant');
 const Role = require('../models/Role');
+const authTokens = require('../services/auth-tokens');
+const accountEmails = require('../services/account-emails');
+const mfa = require('../services/mfa');
+const loginProtection = require('../services/login-protection');
+const { auth } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Finish a login: record it and issue the session tokens
+const completeLogin = async (user, tenant, req) => {
+  loginProtection.clearFailures(user);
+  user.last_login_at = new Date();
+  await user.save();
+
+  const tokens = await authTokens.issueSession(user, req);
+
+  return {
+    success: true,
+    ...tokens,
+    user: {
+      id: user._id,
+      email: user.email,
+      first_name: user.first_name,
+      last_name: user.last_name,
+      role: user.role,
+      tenant_id: user.tenant_id,
+      clinic_id: user.clinic_id,
+      mfa_enabled: !!(user.mfa && user.mfa.enabled),
+      tenant: {
+        id: tenant._id,
+        name: tenant.name,
+        slug: tenant.slug
+      }
+    }
+  };
+};
+
+const invalidCredentials = (res) => res.status(400).json({
+  success: false,
+  message: 'Invalid credentials'
+});
+
+// Same answer for an unknown workspace and a taken email, so registration
+// can't be used to discover either
+const registrationFailed = (res) => res.status(400).json({
+  success: false,
+  message: 'Unable to register with these details'
+});
+
+const accountLocked = (res, user) => {
+  const retryAfter = Math.max(1, Math.ceil((user.locked_until - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(423).json({
+    success: false,
+    message: 'Account is temporarily locked after too many failed attempts',
+    locked_until: user.locked_until
+  });
+};
+
+// Enrolment endpoints accept a normal access token, or the setup challenge
+// handed out at login when the tenant requires 2FA and the user has none yet
+const mfaSetupAuth = async (req, res, next) => {
+  if (!req.body || !req.body.mfa_token) {
+    return auth(req, res, async () => {
+      try {
+        req.authUser = await mfa.loadUser(req.user.id, req.user.tenant_id);
+        next();
+      } catch (error) {
+        next(error);
+      }
+    });
+  }
+
+  try {
+    req.authUser = await mfa.verifyChallenge(req.body.mfa_token, 'setup');
+    req.mfaSetupChallenge = true;
+    next();
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  }
+};
+
 // @route   POST /api/auth/login
 // @desc    Authenticate user & get token
 // @access  Public
@@ -28,89 +112,57 @@ router.post('/login', [
 
     const { email, password, tenantSlug } = req.body;
 
-    // Find tenant by slug
+    // Unknown tenants and users get the same answer, in the same time, as a
+    // wrong password
     const tenant = await Tenant.findBySlug(tenantSlug);
-    if (!tenant) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid tenant'
-      });
-    }
-
-    // Find user by email and tenant
-    const user = await User.findOne({ 
+    const user = tenant && await User.findOne({ 
       email: email.toLowerCase(), 
       tenant_id: tenant._id,
       deleted_at: null 
     });
 
     if (!user) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
+      await loginProtection.rejectUnknownAccount(password);
+      return invalidCredentials(res);
     }
 
-    // Check if user is active
-    if (!user.is_active) {
-      return res.status(400).json({
-        success: false,
-        message: 'Account is deactivated'
-      });
+    if (user.isLocked()) {
+      return accountLocked(res, user);
     }
 
     // Verify password
     const isMatch = await bcrypt.compare(password, user.password_hash);
     if (!isMatch) {
+      const updated = await loginProtection.recordFailure(user);
+      return updated && updated.isLocked() ? accountLocked(res, updated) : invalidCredentials(res);
+    }
+
+    // Only revealed once the password is right
+    if (!user.is_active) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid credentials'
+        message: 'Account is deactivated'
       });
     }
 
-    // Update last login
-    user.last_login_at = new Date();
-    await user.save();
+    // The password alone only earns a challenge when 2FA is on or required
+    if (user.mfa && user.mfa.enabled) {
+      return res.json({
+        success: true,
+        mfa_required: true,
+        mfa_token: mfa.createChallenge(user, 'login')
+      });
+    }
 
-    // Create JWT payload
-    const payload = {
-      user: {
-        id: user._id,
-        email: user.email,
-        role: user.role,
-        tenant_id: user.tenant_id,
-        clinic_id: user.clinic_id
-      }
-    };
-
-    // Sign token
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' },
-      (err, token) => {
-        if (err) throw err;
-
-        res.json({
-          success: true,
-          token,
-          user: {
-            id: user._id,
-            email: user.email,
-            first_name: user.first_name,
-            last_name: user.last_name,
-            role: user.role,
-            tenant_id: user.tenant_id,
-            clinic_id: user.clinic_id,
-            tenant: {
-              id: tenant._id,
-              name: tenant.name,
-              slug: tenant.slug
-            }
-          }
-        });
-      }
-    );
+    if (await mfa.isRequired(user)) {
+      return res.json({
+        success: true,
+        mfa_setup_required: true,
+        mfa_token: mfa.createChallenge(user, 'setup')
+      });
+    }
+
+    res.json(await completeLogin(user, tenant, req));
 
   } catch (error) {
     console.error('Login error:', error);
@@ -123,6 +175,63 @@ router.post('/login', [
   }
 });
 
+// @route   POST /api/auth/login/mfa
+// @desc    Second login step: exchange the MFA challenge and a TOTP or recovery code for tokens
+// @access  Public (MFA token)
+router.post('/login/mfa', [
+  body('mfa_token', 'MFA token is required').isString().not().isEmpty(),
+  body('code', 'Code must be 6 digits').optional().isString().matches(/^\s*\d{6}\s*$/),
+  body('recovery_code', 'Recovery code is required').optional().isString().not().isEmpty(),
+  body().custom(value => !!(value && (value.code || value.recovery_code))).withMessage('A code or recovery code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await mfa.verifyChallenge(req.body.mfa_token, 'login');
+
+    if (user.isLocked()) {
+      return accountLocked(res, user);
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const valid = await mfa.verify(user, req.body);
+    if (!valid) {
+      const updated = await loginProtection.recordFailure(user);
+      if (updated && updated.isLocked()) {
+        return accountLocked(res, updated);
+      }
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const tenant = await Tenant.findById(user.tenant_id);
+    res.json(await completeLogin(user, tenant, req));
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('MFA login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -148,10 +257,7 @@ router.post('/register', [
     // Find tenant
     const tenant = await Tenant.findBySlug(tenantSlug);
     if (!tenant) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid tenant'
-      });
+      return registrationFailed(res);
     }
 
     // Check if user already exists
@@ -161,10 +267,7 @@ router.post('/register', [
     });
 
     if (user) {
-      return res.status(400).json({
-        success: false,
-        message: 'User already exists'
-      });
+      return registrationFailed(res);
     }
 
     // Create user
@@ -180,43 +283,28 @@ router.post('/register', [
 
     await user.save();
 
-    // Create JWT payload
-    const payload = {
+    accountEmails.sendEmailVerification(user)
+      .catch(error => console.error('Verification email error:', error));
+
+    const tokens = await authTokens.issueSession(user, req);
+
+    res.status(201).json({
+      success: true,
+      ...tokens,
       user: {
         id: user._id,
         email: user.email,
+        first_name: user.first_name,
+        last_name: user.last_name,
         role: user.role,
-        tenant_id: user.tenant_id
-      }
-    };
-
-    // Sign token
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' },
-      (err, token) => {
-        if (err) throw err;
-
-        res.status(201).json({
-          success: true,
-          token,
-          user: {
-            id: user._id,
-            email: user.email,
-            first_name: user.first_name,
-            last_name: user.last_name,
-            role: user.role,
-            tenant_id: user.tenant_id,
-            tenant: {
-              id: tenant._id,
-              name: tenant.name,
-              slug: tenant.slug
-            }
-          }
-        });
+        tenant_id: user.tenant_id,
+        tenant: {
+          id: tenant._id,
+          name: tenant.name,
+          slug: tenant.slug
+        }
       }
-    );
+    });
 
   } catch (error) {
     console.error('Registration error:', error);
@@ -230,23 +318,10 @@ router.post('/register', [
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
-router.get('/me', async (req, res) => {
+router.get('/me', auth, async (req, res) => {
   try {
-    // Get token from header
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'No token, authorization denied'
-      });
-    }
-
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
     // Find user
-    const user = await User.findById(decoded.user.id)
+    const user = await User.findById(req.user.id)
       .populate('tenant_id', 'name slug')
       .populate('clinic_id', 'name')
       .populate('role_id', 'name permissions');
@@ -268,17 +343,521 @@ router.get('/me', async (req, res) => {
         role: user.role,
         tenant_id: user.tenant_id,
         clinic_id: user.clinic_id,
+        clinic_ids: user.clinic_ids,
         tenant: user.tenant_id,
         clinic: user.clinic_id,
-        role_info: user.role_id
+        role_info: user.role_id,
+        email_verified: user.email_verified,
+        mfa_enabled: !!(user.mfa && user.mfa.enabled)
       }
     });
 
   } catch (error) {
     console.error('Auth me error:', error);
-    res.status(401).json({
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access and refresh token
+// @access  Public (refresh token)
+router.post('/refresh', [
+  body('refresh_token', 'Refresh token is required').isString().not().isEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const tokens = await authTokens.rotate(req.body.refresh_token, req);
+
+    res.json({
+      success: true,
+      ...tokens
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the session of this device
+// @access  Private
+router.post('/logout', auth, [
+  body('refresh_token', 'Refresh token is required').isString().not().isEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    await authTokens.revokeSession(req.body.refresh_token, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    End every session of the current user on all devices
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    await authTokens.revokeAllSessions(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all sessions'
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email', 'Please include a valid email').isEmail(),
+  body('tenantSlug', 'Tenant slug is required').not().isEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const tenant = await Tenant.findBySlug(req.body.tenantSlug);
+    const user = tenant && await User.findOne({
+      email: req.body.email.toLowerCase(),
+      tenant_id: tenant._id,
+      is_active: true,
+      deleted_at: null
+    });
+
+    // Sent in the background and answered the same way either way, so the
+    // response never reveals whether the account exists
+    if (user) {
+      accountEmails.sendPasswordReset(user)
+        .catch(error => console.error('Password reset email error:', error));
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using an emailed reset token
+// @access  Public (token)
+router.post('/reset-password', [
+  body('token', 'Token is required').isString().not().isEmpty(),
+  body('password', 'Password must be 6 or more characters').isLength({ min: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    await accountEmails.resetPassword(req.body.token, req.body.password);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset, please log in again'
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/accept-invitation
+// @desc    Activate an invited staff account by choosing a password
+// @access  Public (token)
+router.post('/accept-invitation', [
+  body('token', 'Token is required').isString().not().isEmpty(),
+  body('password', 'Password must be 6 or more characters').isLength({ min: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    await accountEmails.acceptInvitation(req.body.token, req.body.password);
+
+    res.json({
+      success: true,
+      message: 'Invitation accepted, you can now log in'
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/change-password
+// @desc    Change the current user's password; other sessions are signed out
+// @access  Private
+router.post('/change-password', auth, [
+  body('current_password', 'Current password is required').isString().not().isEmpty(),
+  body('new_password', 'New password must be 6 or more characters').isLength({ min: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = req.authUser;
+
+    const isMatch = await bcrypt.compare(req.body.current_password, user.password_hash);
+    if (!isMatch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (req.body.new_password === req.body.current_password) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from the current one'
+      });
+    }
+
+    // Saving bumps token_version and revokes refresh tokens, so every
+    // session ends; this device gets a fresh one
+    user.password_hash = req.body.new_password; // Will be hashed by pre-save middleware
+    await user.save();
+
+    const tokens = await authTokens.issueSession(user, req);
+
+    res.json({
+      success: true,
+      message: 'Password changed, other sessions have been signed out',
+      ...tokens
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address using an emailed verification token
+// @access  Public (token)
+router.post('/verify-email', [
+  body('token', 'Token is required').isString().not().isEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    await accountEmails.verifyEmail(req.body.token);
+
+    res.json({
+      success: true,
+      message: 'Email address verified'
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Verify email error:', error);
+    res.status(500).json({
       success: false,
-      message: 'Token is not valid'
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email to the current user
+// @access  Private
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    if (req.authUser.email_verified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email address is already verified'
+      });
+    }
+
+    await accountEmails.sendEmailVerification(req.authUser);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/mfa/setup
+// @desc    Start 2FA enrolment and get the secret and QR provisioning URI
+// @access  Private (access token or setup MFA token)
+router.post('/mfa/setup', mfaSetupAuth, async (req, res) => {
+  try {
+    const enrolment = await mfa.beginEnrolment(req.authUser);
+
+    res.json({
+      success: true,
+      data: enrolment
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('MFA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/mfa/enable
+// @desc    Confirm enrolment with a code from the authenticator app
+// @access  Private (access token or setup MFA token)
+router.post('/mfa/enable', mfaSetupAuth, [
+  body('code', 'Code must be 6 digits').isString().matches(/^\s*\d{6}\s*$/)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const recoveryCodes = await mfa.confirmEnrolment(req.authUser, req.body.code);
+
+    // Enrolling from the login challenge completes that login
+    const login = req.mfaSetupChallenge
+      ? await completeLogin(req.authUser, await Tenant.findById(req.authUser.tenant_id), req)
+      : {};
+
+    res.json({
+      ...login,
+      success: true,
+      recovery_codes: recoveryCodes
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('MFA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/mfa/recovery-codes
+// @desc    Replace the recovery codes; needs a current TOTP code
+// @access  Private
+router.post('/mfa/recovery-codes', auth, [
+  body('code', 'Code must be 6 digits').isString().matches(/^\s*\d{6}\s*$/)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await mfa.loadUser(req.user.id, req.user.tenant_id);
+    if (!(await mfa.verify(user, { code: req.body.code }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    res.json({
+      success: true,
+      recovery_codes: await mfa.regenerateRecoveryCodes(user)
+    });
+
+  } catch (error) {
+    console.error('MFA recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/mfa/disable
+// @desc    Turn off 2FA; needs the password and a current TOTP or recovery code
+// @access  Private
+router.post('/mfa/disable', auth, [
+  body('password', 'Password is required').isString().not().isEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await mfa.loadUser(req.user.id, req.user.tenant_id);
+
+    if (await mfa.isRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required by your organization'
+      });
+    }
+
+    const isMatch = await bcrypt.compare(req.body.password, user.password_hash);
+    if (!isMatch || !(await mfa.verify(user, req.body))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    await mfa.disable(user);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('MFA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
     });
   }
 });
@@ -0,0 +1,280 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+
+const DoctorAvailability = require('../models/DoctorAvailability');
+const User = require('../models/User');
+const { WEEKDAYS } = require('../utils/time-zone');
+const { auth, clinicScopeFilter, hasPermission, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+const CLOCK_TIME = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+// Schedule managers and the doctor themselves may change a doctor's availability
+const canManage = (req) => hasPermission(req, 'appointments', 'manage_schedule') || req.user.id === req.params.doctorId;
+
+const intervalValidators = (path) => [
+  body(`${path}.*.start`, 'Interval start must be HH:mm').matches(CLOCK_TIME),
+  body(`${path}.*.end`, 'Interval end must be HH:mm').matches(CLOCK_TIME),
+  body(`${path}.*.clinic_id`, 'Invalid clinic').optional({ values: 'null' }).isMongoId(),
+  body(path).optional().custom(intervals => {
+    if (intervals.some(interval => interval.end <= interval.start)) {
+      throw new Error('Interval end must be after start');
+    }
+    return true;
+  })
+];
+
+// Load or create the availability record for a doctor in the caller's tenant.
+// Staff limited to some clinics only see doctors assigned to one of them.
+const loadAvailability = async (req, res) => {
+  const doctor = await User.findOne({
+    _id: req.params.doctorId,
+    tenant_id: req.user.tenant_id,
+    role: 'doctor',
+    deleted_at: null,
+    ...clinicScopeFilter(req, 'clinic_ids')
+  });
+
+  if (!doctor) {
+    res.status(404).json({
+      success: false,
+      message: 'Doctor not found'
+    });
+    return null;
+  }
+
+  return await DoctorAvailability.findByDoctor(req.user.tenant_id, doctor._id) || new DoctorAvailability({
+    tenant_id: req.user.tenant_id,
+    doctor_id: doctor._id
+  });
+};
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+    return false;
+  }
+
+  if (!canManage(req)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not allowed to manage this doctor\'s availability'
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// @route   GET /api/doctor-availability/:doctorId
+// @desc    Get a doctor's weekly template, overrides and blocked time
+// @access  Private
+router.get('/:doctorId', auth, requirePermission('appointments', 'view'), [
+  param('doctorId', 'Invalid doctor').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const availability = await loadAvailability(req, res);
+    if (!availability) return;
+
+    res.json({
+      success: true,
+      data: availability
+    });
+
+  } catch (error) {
+    console.error('Get doctor availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/doctor-availability/:doctorId
+// @desc    Replace a doctor's weekly working template
+// @access  Private (admin or the doctor)
+router.put('/:doctorId', auth, requirePermission('appointments', 'edit'), [
+  param('doctorId', 'Invalid doctor').isMongoId(),
+  body('weekly_template', 'Weekly template is required').isObject(),
+  ...WEEKDAYS.flatMap(day => intervalValidators(`weekly_template.${day}`))
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const availability = await loadAvailability(req, res);
+    if (!availability) return;
+
+    WEEKDAYS.forEach(day => {
+      availability.weekly_template[day] = req.body.weekly_template[day] || [];
+    });
+    availability.updated_by = req.user.id;
+    await availability.save();
+
+    res.json({
+      success: true,
+      data: availability
+    });
+
+  } catch (error) {
+    console.error('Update doctor availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/doctor-availability/:doctorId/overrides
+// @desc    Set date-specific hours (empty intervals marks a day off)
+// @access  Private (admin or the doctor)
+router.post('/:doctorId/overrides', auth, requirePermission('appointments', 'edit'), [
+  param('doctorId', 'Invalid doctor').isMongoId(),
+  body('date', 'Date must be YYYY-MM-DD').matches(/^\d{4}-\d{2}-\d{2}$/),
+  body('intervals', 'Intervals must be a list').isArray(),
+  ...intervalValidators('intervals')
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const availability = await loadAvailability(req, res);
+    if (!availability) return;
+
+    availability.updated_by = req.user.id;
+    await availability.addOverride({
+      date: req.body.date,
+      intervals: req.body.intervals,
+      reason: req.body.reason
+    });
+
+    res.status(201).json({
+      success: true,
+      data: availability
+    });
+
+  } catch (error) {
+    console.error('Add availability override error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/doctor-availability/:doctorId/overrides/:overrideId
+// @desc    Remove a date-specific override
+// @access  Private (admin or the doctor)
+router.delete('/:doctorId/overrides/:overrideId', auth, requirePermission('appointments', 'edit'), [
+  param('doctorId', 'Invalid doctor').isMongoId()
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const availability = await loadAvailability(req, res);
+    if (!availability) return;
+
+    availability.updated_by = req.user.id;
+    await availability.removeOverride(req.params.overrideId);
+
+    res.json({
+      success: true,
+      data: availability
+    });
+
+  } catch (error) {
+    console.error('Remove availability override error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/doctor-availability/:doctorId/blocks
+// @desc    Block a time range (leave, break or other)
+// @access  Private (admin or the doctor)
+router.post('/:doctorId/blocks', auth, requirePermission('appointments', 'edit'), [
+  param('doctorId', 'Invalid doctor').isMongoId(),
+  body('start', 'Start must be a valid date').isISO8601(),
+  body('end', 'End must be a valid date').isISO8601(),
+  body('type', 'Type must be leave, break or other').optional().isIn(['leave', 'break', 'other'])
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    if (new Date(req.body.end) <= new Date(req.body.start)) {
+      return res.status(400).json({
+        success: false,
+        message: 'End must be after start'
+      });
+    }
+
+    const availability = await loadAvailability(req, res);
+    if (!availability) return;
+
+    availability.updated_by = req.user.id;
+    await availability.addBlock({
+      start: new Date(req.body.start),
+      end: new Date(req.body.end),
+      type: req.body.type,
+      reason: req.body.reason
+    });
+
+    res.status(201).json({
+      success: true,
+      data: availability
+    });
+
+  } catch (error) {
+    console.error('Add availability block error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/doctor-availability/:doctorId/blocks/:blockId
+// @desc    Remove a blocked time range
+// @access  Private (admin or the doctor)
+router.delete('/:doctorId/blocks/:blockId', auth, requirePermission('appointments', 'edit'), [
+  param('doctorId', 'Invalid doctor').isMongoId()
+], async (req, res) => {
+  try {
+    if (!handleValidation(req, res)) return;
+
+    const availability = await loadAvailability(req, res);
+    if (!availability) return;
+
+    availability.updated_by = req.user.id;
+    await availability.removeBlock(req.params.blockId);
+
+    res.json({
+      success: true,
+      data: availability
+    });
+
+  } catch (error) {
+    console.error('Remove availability block error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
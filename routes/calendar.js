@@ -0,0 +1,257 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+
+const Appointment = require('../models/Appointment');
+const CalendarFeed = require('../models/CalendarFeed');
+const Clinic = require('../models/Clinic');
+const User = require('../models/User');
+const { buildCalendar } = require('../utils/icalendar');
+const listQuery = require('../utils/list-query');
+const { auth, canAccessClinic, hasPermission, isClinicScoped, requirePermission, staffOnly } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Feeds cover recent history and the months ahead
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Schedule managers may manage any feed; doctors may manage their own
+const canManageFeed = (req, ownerType, ownerId) => hasPermission(req, 'appointments', 'manage_schedule') ||
+  (ownerType === 'doctor' && ownerId.toString() === req.user.id);
+
+// List query options for GET /api/calendar-feeds
+const FEED_LIST = {
+  filters: ['owner_type', 'owner_id', 'include_patient_details'],
+  sortable: ['createdAt', 'last_accessed_at'],
+  defaultSort: '-createdAt',
+  hiddenFields: ['token_hash']
+};
+
+// Clinic-scoped staff only see feeds of their clinics: clinic feeds they
+// can access and doctor feeds limited to one of their clinics
+const feedScopeFilter = (req) => isClinicScoped(req) ? {
+  $or: [
+    { owner_type: 'clinic', owner_id: { $in: req.access.clinicIds } },
+    { owner_type: 'doctor', clinic_ids: { $in: req.access.clinicIds } }
+  ]
+} : {};
+
+const formatFeed = (feed) => ({
+  id: feed._id,
+  owner_type: feed.owner_type,
+  owner_id: feed.owner_id,
+  include_patient_details: feed.include_patient_details,
+  clinic_ids: feed.clinic_ids,
+  last_accessed_at: feed.last_accessed_at,
+  created_at: feed.createdAt
+});
+
+// @route   GET /api/calendar-feeds
+// @desc    List active calendar feeds for tenant
+// @access  Private
+router.get('/', auth, requirePermission('appointments', 'view'), staffOnly, async (req, res) => {
+  try {
+    const result = await listQuery.find(CalendarFeed, {
+      tenant_id: req.user.tenant_id,
+      revoked_at: null,
+      ...feedScopeFilter(req)
+    }, req.query, FEED_LIST);
+
+    res.set('X-Total-Count', String(result.total));
+    res.json({
+      success: true,
+      count: result.data.length,
+      pagination: result.pagination,
+      data: result.data.map(formatFeed)
+    });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get calendar feeds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/calendar-feeds
+// @desc    Create a tokenized ICS feed for a doctor or clinic
+// @access  Private
+router.post('/', auth, requirePermission('appointments', 'view'), staffOnly, [
+  body('owner_type', 'Owner type must be doctor or clinic').isIn(['doctor', 'clinic']),
+  body('owner_id', 'Valid owner is required').isMongoId(),
+  body('include_patient_details').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { owner_type, owner_id, include_patient_details } = req.body;
+
+    if (!canManageFeed(req, owner_type, owner_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    // Patient names leave the system with the feed
+    if (include_patient_details === true && !hasPermission(req, 'patients', 'view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to share patient details'
+      });
+    }
+
+    const owner = owner_type === 'doctor'
+      ? await User.findOne({ _id: owner_id, tenant_id: req.user.tenant_id, role: 'doctor', deleted_at: null })
+      : canAccessClinic(req, owner_id) &&
+        await Clinic.findOne({ _id: owner_id, tenant_id: req.user.tenant_id, deleted_at: null });
+
+    if (!owner) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${owner_type}`
+      });
+    }
+
+    const token = CalendarFeed.generateToken();
+    const feed = new CalendarFeed({
+      tenant_id: req.user.tenant_id,
+      owner_type,
+      owner_id,
+      token_hash: CalendarFeed.hashToken(token),
+      include_patient_details: include_patient_details === true,
+      clinic_ids: owner_type === 'doctor' && isClinicScoped(req) ? req.access.clinicIds : [],
+      created_by: req.user.id
+    });
+
+    await feed.save();
+
+    // The raw token is only returned once; only its hash is stored
+    res.status(201).json({
+      success: true,
+      data: {
+        ...formatFeed(feed),
+        url: `${req.protocol}://${req.get('host')}${req.baseUrl}/${token}.ics`
+      }
+    });
+
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/calendar-feeds/:id
+// @desc    Revoke a calendar feed
+// @access  Private
+router.delete('/:id', auth, requirePermission('appointments', 'view'), staffOnly, async (req, res) => {
+  try {
+    const feed = await CalendarFeed.findOne({
+      _id: req.params.id,
+      tenant_id: req.user.tenant_id,
+      revoked_at: null,
+      ...feedScopeFilter(req)
+    });
+
+    if (!feed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    if (!canManageFeed(req, feed.owner_type, feed.owner_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    await feed.revoke();
+
+    res.json({
+      success: true,
+      message: 'Calendar feed revoked'
+    });
+
+  } catch (error) {
+    console.error('Revoke calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/calendar-feeds/:token.ics
+// @desc    Read-only ICS feed for calendar apps
+// @access  Public (token)
+router.get('/:token.ics', async (req, res) => {
+  try {
+    const feed = await CalendarFeed.findByToken(req.params.token);
+
+    if (!feed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const now = Date.now();
+    const from = new Date(now - FEED_PAST_DAYS * DAY_MS);
+    const to = new Date(now + FEED_FUTURE_DAYS * DAY_MS);
+
+    let name;
+    let appointments;
+    if (feed.owner_type === 'doctor') {
+      const doctor = await User.findById(feed.owner_id);
+      name = doctor ? `Dr. ${doctor.first_name} ${doctor.last_name}` : 'Doctor schedule';
+      appointments = await Appointment.findByDoctor(feed.tenant_id, feed.owner_id, from, to)
+        .where(feed.clinic_ids.length > 0 ? { clinic_id: { $in: feed.clinic_ids } } : {})
+        .populate('clinic_id', 'name');
+    } else {
+      const clinic = await Clinic.findById(feed.owner_id);
+      name = clinic ? clinic.name : 'Clinic schedule';
+      appointments = await Appointment.findByClinic(feed.tenant_id, feed.owner_id, from, to)
+        .populate('clinic_id', 'name');
+    }
+
+    feed.last_accessed_at = new Date();
+    await feed.save();
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="schedule.ics"');
+    res.send(buildCalendar(appointments, {
+      name,
+      includePatientDetails: feed.include_patient_details
+    }));
+
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,578 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+
+const Clinic = require('../models/Clinic');
+const Tenant = require('../models/Tenant');
+const User = require('../models/User');
+const { isValidTimeZone } = require('../utils/time-zone');
+const { auth, clinicScopeFilter, hasPermission, isClinicScoped, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Fields staff may set on create and update, as dotted paths into the body
+const CLINIC_FIELDS = [
+  'name', 'code', 'license_number', 'tax_id',
+  'contact.phone', 'contact.email', 'contact.website',
+  'address.street', 'address.city', 'address.state', 'address.country', 'address.postal_code'
+];
+const SETTINGS_FIELDS = ['timezone', 'currency', 'language', 'appointment_duration'];
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const SERVICE_FIELDS = ['name', 'description', 'duration', 'price', 'is_active'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => value && value[key], object);
+
+// Validators shared by create and update; on update every field is optional
+const clinicValidators = (isUpdate) => {
+  const required = (chain) => isUpdate ? chain.optional() : chain;
+
+  return [
+    required(body('name', 'Name is required')).trim().not().isEmpty().isLength({ max: 255 }),
+    body('code', 'Code must be up to 10 letters, numbers or hyphens').optional().trim().matches(/^[A-Za-z0-9-]{1,10}$/),
+    body('contact.email', 'Invalid email').optional({ values: 'falsy' }).isEmail(),
+    body('contact.website', 'Invalid website').optional({ values: 'falsy' }).isURL(),
+    body('settings', 'Settings must be an object').optional().isObject(),
+    body('settings.timezone', 'Invalid time zone').optional().custom(isValidTimeZone),
+    body('settings.currency', 'Currency must be a 3-letter code').optional().matches(/^[A-Za-z]{3}$/),
+    body('settings.language', 'Invalid language').optional().isLength({ min: 2, max: 10 }),
+    body('settings.appointment_duration', 'Appointment duration must be at least 15 minutes').optional().isInt({ min: 15 }),
+    body('settings.working_hours', 'Working hours must be an object').optional().isObject(),
+    body('settings.working_hours.*.open', 'Opening time must be HH:MM').optional().matches(TIME_PATTERN),
+    body('settings.working_hours.*.close', 'Closing time must be HH:MM').optional().matches(TIME_PATTERN),
+    body('settings.working_hours.*.closed', 'closed must be a boolean').optional().isBoolean(),
+    body('is_active', 'is_active must be a boolean').optional().isBoolean()
+  ];
+};
+
+const serviceValidators = (isUpdate) => {
+  const required = (chain) => isUpdate ? chain.optional() : chain;
+
+  return [
+    required(body('name', 'Name is required')).trim().not().isEmpty(),
+    required(body('duration', 'Duration must be at least 15 minutes')).isInt({ min: 15 }),
+    body('price', 'Price must be a positive number').optional().isFloat({ min: 0 }),
+    body('is_active', 'is_active must be a boolean').optional().isBoolean()
+  ];
+};
+
+const findClinic = (req, filter = { deleted_at: null }) => Clinic.findOne({
+  _id: req.params.id,
+  tenant_id: req.user.tenant_id,
+  ...filter
+}).and([clinicScopeFilter(req, '_id')]);
+
+const applyDetails = (clinic, data) => {
+  CLINIC_FIELDS.forEach(path => {
+    const value = getPath(data, path);
+    if (value !== undefined) {
+      clinic.set(path, value);
+    }
+  });
+};
+
+// Working hours are merged per day, so one day can be changed on its own
+const applySettings = (clinic, settings = {}) => {
+  SETTINGS_FIELDS.forEach(field => {
+    if (settings[field] !== undefined) {
+      clinic.set(`settings.${field}`, settings[field]);
+    }
+  });
+
+  const workingHours = settings.working_hours || {};
+  WEEKDAYS.forEach(day => {
+    const hours = workingHours[day] || {};
+    ['open', 'close', 'closed'].forEach(key => {
+      if (hours[key] !== undefined) {
+        clinic.set(`settings.working_hours.${day}.${key}`, hours[key]);
+      }
+    });
+  });
+};
+
+// Codes stay reserved after a clinic is deleted, since old document numbers use them
+const isCodeTaken = (tenantId, code, clinicId) => Clinic.exists({
+  tenant_id: tenantId,
+  code: code.toUpperCase(),
+  _id: { $ne: clinicId }
+});
+
+const findService = (clinic, serviceId) => clinic.services.find(
+  service => service._id.toString() === serviceId
+);
+
+// @route   GET /api/clinics
+// @desc    Get clinics for tenant; ?search= by name or city, ?active=true for open clinics only
+// @access  Private
+router.get('/', auth, requirePermission('clinics', 'view'), [
+  query('search').optional().isString(),
+  query('active').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    let clinics;
+    if (req.query.search) {
+      clinics = Clinic.searchClinics(req.user.tenant_id, req.query.search);
+    } else if (req.query.active === 'true') {
+      clinics = Clinic.findActive(req.user.tenant_id);
+    } else {
+      clinics = Clinic.findByTenant(req.user.tenant_id);
+    }
+
+    clinics = await clinics.and([clinicScopeFilter(req, '_id')]);
+    if (req.query.search && req.query.active === 'true') {
+      clinics = clinics.filter(clinic => clinic.is_active);
+    }
+
+    res.json({
+      success: true,
+      count: clinics.length,
+      data: clinics
+    });
+
+  } catch (error) {
+    console.error('Get clinics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/clinics/:id
+// @desc    Get clinic by ID
+// @access  Private
+router.get('/:id', auth, requirePermission('clinics', 'view'), async (req, res) => {
+  try {
+    const clinic = await findClinic(req);
+
+    if (!clinic) {
+      return res.status(404).json({
+        success: false,
+        message: 'Clinic not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: clinic
+    });
+
+  } catch (error) {
+    console.error('Get clinic error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/clinics
+// @desc    Create a clinic; settings not given start from the tenant's regional settings
+// @access  Private
+router.post('/', auth, requirePermission('clinics', 'create'), clinicValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    if (req.body.settings && !hasPermission(req, 'clinics', 'manage_settings')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage clinic settings'
+      });
+    }
+
+    if (req.body.code && await isCodeTaken(req.user.tenant_id, req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A clinic with this code already exists'
+      });
+    }
+
+    const tenant = await Tenant.findById(req.user.tenant_id);
+    const clinic = new Clinic({
+      tenant_id: req.user.tenant_id,
+      settings: tenant ? tenant.getClinicDefaults() : {}
+    });
+    applyDetails(clinic, req.body);
+    applySettings(clinic, req.body.settings);
+
+    await clinic.save();
+
+    // Keep the new clinic visible to a creator who is limited to particular clinics
+    if (isClinicScoped(req)) {
+      await User.updateOne({ _id: req.user.id }, { $addToSet: { clinic_ids: clinic._id } });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: clinic
+    });
+
+  } catch (error) {
+    console.error('Create clinic error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/clinics/:id
+// @desc    Update a clinic; changing settings or working hours needs manage_settings
+// @access  Private
+router.put('/:id', auth, requirePermission('clinics', 'edit'), clinicValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    if (req.body.settings && !hasPermission(req, 'clinics', 'manage_settings')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage clinic settings'
+      });
+    }
+
+    const clinic = await findClinic(req);
+    if (!clinic) {
+      return res.status(404).json({
+        success: false,
+        message: 'Clinic not found'
+      });
+    }
+
+    if (req.body.code && await isCodeTaken(req.user.tenant_id, req.body.code, clinic._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A clinic with this code already exists'
+      });
+    }
+
+    applyDetails(clinic, req.body);
+    applySettings(clinic, req.body.settings);
+    if (req.body.is_active !== undefined) {
+      clinic.is_active = req.body.is_active;
+    }
+
+    await clinic.save();
+
+    res.json({
+      success: true,
+      data: clinic
+    });
+
+  } catch (error) {
+    console.error('Update clinic error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/clinics/:id
+// @desc    Soft delete a clinic; the tenant's last clinic can't be deleted
+// @access  Private
+router.delete('/:id', auth, requirePermission('clinics', 'delete'), async (req, res) => {
+  try {
+    const clinic = await findClinic(req);
+    if (!clinic) {
+      return res.status(404).json({
+        success: false,
+        message: 'Clinic not found'
+      });
+    }
+
+    const remaining = await Clinic.countDocuments({
+      tenant_id: req.user.tenant_id,
+      deleted_at: null
+    });
+    if (remaining <= 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'The only clinic cannot be deleted'
+      });
+    }
+
+    await clinic.softDelete();
+
+    res.json({
+      success: true,
+      message: 'Clinic deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete clinic error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/clinics/:id/restore
+// @desc    Restore a soft-deleted clinic
+// @access  Private
+router.patch('/:id/restore', auth, requirePermission('clinics', 'delete'), async (req, res) => {
+  try {
+    const clinic = await findClinic(req, { deleted_at: { $ne: null } });
+    if (!clinic) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted clinic not found'
+      });
+    }
+
+    await clinic.restore();
+
+    res.json({
+      success: true,
+      data: clinic
+    });
+
+  } catch (error) {
+    console.error('Restore clinic error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/clinics/:id/users
+// @desc    Staff who work at a clinic, including those not limited to particular clinics
+// @access  Private
+router.get('/:id/users', auth, requirePermission('clinics', 'view'), async (req, res) => {
+  try {
+    const clinic = await findClinic(req);
+    if (!clinic) {
+      return res.status(404).json({
+        success: false,
+        message: 'Clinic not found'
+      });
+    }
+
+    const users = await User.find({
+      tenant_id: req.user.tenant_id,
+      role: { $ne: 'patient' },
+      is_active: true,
+      deleted_at: null,
+      $or: [{ clinic_ids: clinic._id }, { clinic_ids: { $size: 0 } }]
+    }).sort({ last_name: 1, first_name: 1 });
+
+    res.json({
+      success: true,
+      count: users.length,
+      data: users.map(user => ({
+        id: user._id,
+        first_name: user.first_name,
+        last_name: user.last_name,
+        role: user.role,
+        is_primary_clinic: !!user.clinic_id && user.clinic_id.equals(clinic._id),
+        all_clinics: user.clinic_ids.length === 0
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get clinic users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/clinics/:id/services
+// @desc    Get a clinic's services; ?active=true for bookable services only
+// @access  Private
+router.get('/:id/services', auth, requirePermission('clinics', 'view'), async (req, res) => {
+  try {
+    const clinic = await findClinic(req);
+    if (!clinic) {
+      return res.status(404).json({
+        success: false,
+        message: 'Clinic not found'
+      });
+    }
+
+    const services = req.query.active === 'true'
+      ? clinic.services.filter(service => service.is_active)
+      : clinic.services;
+
+    res.json({
+      success: true,
+      count: services.length,
+      data: services
+    });
+
+  } catch (error) {
+    console.error('Get clinic services error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/clinics/:id/services
+// @desc    Add a service to a clinic
+// @access  Private
+router.post('/:id/services', auth, requirePermission('clinics', 'edit'), serviceValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const clinic = await findClinic(req);
+    if (!clinic) {
+      return res.status(404).json({
+        success: false,
+        message: 'Clinic not found'
+      });
+    }
+
+    const nameTaken = clinic.services.some(
+      service => service.name.toLowerCase() === req.body.name.toLowerCase()
+    );
+    if (nameTaken) {
+      return res.status(400).json({
+        success: false,
+        message: 'A service with this name already exists in the clinic'
+      });
+    }
+
+    const service = {};
+    SERVICE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        service[field] = req.body[field];
+      }
+    });
+
+    await clinic.addService(service);
+
+    res.status(201).json({
+      success: true,
+      data: clinic.services[clinic.services.length - 1]
+    });
+
+  } catch (error) {
+    console.error('Add clinic service error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/clinics/:id/services/:serviceId
+// @desc    Update a clinic service
+// @access  Private
+router.put('/:id/services/:serviceId', auth, requirePermission('clinics', 'edit'), serviceValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const clinic = await findClinic(req);
+    const service = clinic && findService(clinic, req.params.serviceId);
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    const nameTaken = req.body.name && clinic.services.some(other =>
+      other._id.toString() !== req.params.serviceId &&
+      other.name.toLowerCase() === req.body.name.toLowerCase()
+    );
+    if (nameTaken) {
+      return res.status(400).json({
+        success: false,
+        message: 'A service with this name already exists in the clinic'
+      });
+    }
+
+    const updates = {};
+    SERVICE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    await clinic.updateService(service._id, updates);
+
+    res.json({
+      success: true,
+      data: service
+    });
+
+  } catch (error) {
+    console.error('Update clinic service error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/clinics/:id/services/:serviceId
+// @desc    Remove a service from a clinic; deactivate it instead to keep it on past bookings
+// @access  Private
+router.delete('/:id/services/:serviceId', auth, requirePermission('clinics', 'edit'), async (req, res) => {
+  try {
+    const clinic = await findClinic(req);
+    if (!clinic || !findService(clinic, req.params.serviceId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    await clinic.removeService(req.params.serviceId);
+
+    res.json({
+      success: true,
+      message: 'Service removed'
+    });
+
+  } catch (error) {
+    console.error('Remove clinic service error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
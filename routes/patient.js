@@ -1,48 +1,117 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const { body, query, validationResult } = require('express-validator');
 
 const Patient = require('../models/Patient');
+const Clinic = require('../models/Clinic');
+const Tenant = require('../models/Tenant');
+const PatientMerge = require('../models/PatientMerge');
+const patientMerge = require('../services/patient-merge');
 const { patientHelpers } = require('../utils/database-helpers');
+const listQuery = require('../utils/list-query');
+const { auth, ownsPatient, patientScopeFilter, requirePermission, staffOnly } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Middleware to protect routes
-const auth = async (req, res, next) => {
-  try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
+// Fields staff may set on create and update; nested groups are merged on update
+const PATIENT_FIELDS = [
+  'clinic_id', 'first_name', 'last_name', 'email', 'phone', 'date_of_birth', 'gender',
+  'address', 'city', 'state', 'country', 'postal_code',
+  'emergency_contact', 'medical_info', 'insurance'
+];
+const NESTED_FIELDS = ['emergency_contact', 'medical_info', 'insurance'];
 
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'No token, authorization denied'
-      });
+// Validators shared by create and update; on update every field is optional
+const patientValidators = (isUpdate) => {
+  const required = (chain) => isUpdate ? chain.optional() : chain;
+
+  return [
+    required(body('first_name', 'First name is required')).trim().not().isEmpty().isLength({ max: 100 }),
+    required(body('last_name', 'Last name is required')).trim().not().isEmpty().isLength({ max: 100 }),
+    required(body('date_of_birth', 'Valid date of birth is required')).isISO8601(),
+    required(body('gender', 'Gender must be male, female or other')).isIn(['male', 'female', 'other']),
+    body('clinic_id', 'Invalid clinic').optional({ values: 'null' }).isMongoId(),
+    body('email', 'Please include a valid email').optional({ values: 'falsy' }).trim().isEmail().toLowerCase(),
+    body('phone').optional().isLength({ max: 50 }),
+    body('postal_code').optional().isLength({ max: 20 }),
+    body('emergency_contact').optional().isObject(),
+    body('medical_info').optional().isObject(),
+    body('medical_info.current_medications').optional().isArray(),
+    body('insurance').optional().isObject()
+  ];
+};
+
+const pickPatientFields = (source) => {
+  const fields = {};
+  PATIENT_FIELDS.forEach(field => {
+    if (source[field] !== undefined) {
+      fields[field] = source[field];
     }
+  });
+  return fields;
+};
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded.user;
-    next();
-  } catch (error) {
-    res.status(401).json({
-      success: false,
-      message: 'Token is not valid'
-    });
-  }
+const validateClinic = async (tenantId, clinicId) => {
+  if (!clinicId) return true;
+  const clinic = await Clinic.findOne({ _id: clinicId, tenant_id: tenantId, deleted_at: null });
+  return !!clinic;
+};
+
+// List query options for GET /api/patients and merge history
+const PATIENT_LIST = {
+  filters: ['clinic_id', 'gender', 'is_active'],
+  dateFilters: ['date_of_birth', 'createdAt'],
+  sortable: ['createdAt', 'first_name', 'last_name', 'patient_id', 'date_of_birth'],
+  defaultSort: '-createdAt'
+};
+
+const MERGE_LIST = {
+  filters: ['status', 'survivor_id', 'duplicate_id'],
+  dateFilters: ['createdAt'],
+  sortable: ['createdAt'],
+  defaultSort: '-createdAt',
+  populate: [
+    ['survivor_id', 'first_name last_name patient_id'],
+    ['duplicate_id', 'first_name last_name patient_id']
+  ],
+  hiddenFields: ['duplicate_snapshot']
+};
+
+// Active patients already at the tenant's plan limit
+const isPatientLimitReached = async (tenantId) => {
+  const [tenant, activePatients] = await Promise.all([
+    Tenant.findById(tenantId),
+    Patient.countDocuments({ tenant_id: tenantId, deleted_at: null })
+  ]);
+  return !tenant || activePatients >= tenant.max_patients;
 };
 
 // @route   GET /api/patients
-// @desc    Get all patients for tenant
+// @desc    Get patients for tenant (paginated, filterable, sortable)
 // @access  Private
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, requirePermission('patients', 'view'), async (req, res) => {
   try {
-    const patients = await Patient.findByTenant(req.user.tenant_id);
-    
+    const result = await listQuery.find(Patient, {
+      tenant_id: req.user.tenant_id,
+      deleted_at: null,
+      ...patientScopeFilter(req, '_id')
+    }, req.query, PATIENT_LIST);
+
+    res.set('X-Total-Count', String(result.total));
     res.json({
       success: true,
-      count: patients.length,
-      data: patients
+      count: result.data.length,
+      pagination: result.pagination,
+      data: result.data
     });
 
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Get patients error:', error);
     res.status(500).json({
       success: false,
@@ -54,7 +123,7 @@ router.get('/', auth, async (req, res) => {
 // @route   GET /api/patients/search
 // @desc    Search patients
 // @access  Private
-router.get('/search', auth, async (req, res) => {
+router.get('/search', auth, requirePermission('patients', 'view'), staffOnly, async (req, res) => {
   try {
     const { q } = req.query;
     
@@ -82,14 +151,114 @@ router.get('/search', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/patients/duplicates
+// @desc    Find likely duplicates of details about to be registered
+// @access  Private
+router.get('/duplicates', auth, requirePermission('patients', 'view'), staffOnly, [
+  query('date_of_birth', 'Invalid date of birth').optional().isISO8601(),
+  query('minScore').optional().isInt({ min: 0, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { first_name, last_name, date_of_birth, phone, email, minScore } = req.query;
+    const duplicates = await patientHelpers.findDuplicates(
+      req.user.tenant_id,
+      { first_name, last_name, date_of_birth, phone, email },
+      minScore !== undefined ? { minScore: parseInt(minScore) } : {}
+    );
+
+    res.json({
+      success: true,
+      count: duplicates.length,
+      data: duplicates
+    });
+
+  } catch (error) {
+    console.error('Find duplicate patients error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/patients/merges
+// @desc    Merge history for tenant
+// @access  Private
+router.get('/merges', auth, requirePermission('patients', 'view'), staffOnly, async (req, res) => {
+  try {
+    const result = await listQuery.find(PatientMerge, {
+      tenant_id: req.user.tenant_id
+    }, req.query, MERGE_LIST);
+
+    res.set('X-Total-Count', String(result.total));
+    res.json({
+      success: true,
+      count: result.data.length,
+      pagination: result.pagination,
+      data: result.data
+    });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get patient merges error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/patients/merges/:mergeId/undo
+// @desc    Undo a patient merge from its audit snapshot
+// @access  Private
+router.post('/merges/:mergeId/undo', auth, requirePermission('patients', 'edit'), staffOnly, async (req, res) => {
+  try {
+    const merge = await patientMerge.undoMerge(req.user.tenant_id, req.params.mergeId, req.user.id);
+
+    res.json({
+      success: true,
+      data: merge
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Undo patient merge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/patients/:id
 // @desc    Get patient by ID
 // @access  Private
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, requirePermission('patients', 'view'), async (req, res) => {
   try {
     const patient = await Patient.findById(req.params.id);
     
-    if (!patient || patient.tenant_id.toString() !== req.user.tenant_id.toString()) {
+    if (!patient || patient.tenant_id.toString() !== req.user.tenant_id.toString() || !ownsPatient(req, patient._id)) {
       return res.status(404).json({
         success: false,
         message: 'Patient not found'
@@ -113,9 +282,11 @@ router.get('/:id', auth, async (req, res) => {
 // @route   GET /api/patients/:id/summary
 // @desc    Get patient summary with related data
 // @access  Private
-router.get('/:id/summary', auth, async (req, res) => {
+router.get('/:id/summary', auth, requirePermission('patients', 'view'), async (req, res) => {
   try {
-    const summary = await patientHelpers.getPatientSummary(req.user.tenant_id, req.params.id);
+    const summary = ownsPatient(req, req.params.id)
+      ? await patientHelpers.getPatientSummary(req.user.tenant_id, req.params.id)
+      : null;
     
     if (!summary) {
       return res.status(404).json({
@@ -138,4 +309,280 @@ router.get('/:id/summary', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/patients/:id/duplicates
+// @desc    Find likely duplicates of an existing patient
+// @access  Private
+router.get('/:id/duplicates', auth, requirePermission('patients', 'view'), staffOnly, async (req, res) => {
+  try {
+    const patient = await Patient.findOne({
+      _id: req.params.id,
+      tenant_id: req.user.tenant_id,
+      deleted_at: null
+    });
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    const duplicates = await patientHelpers.findDuplicates(req.user.tenant_id, patient, {
+      excludeId: patient._id
+    });
+
+    res.json({
+      success: true,
+      count: duplicates.length,
+      data: duplicates
+    });
+
+  } catch (error) {
+    console.error('Find duplicate patients error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/patients/:id/merge
+// @desc    Merge a duplicate patient into this one
+// @access  Private
+router.post('/:id/merge', auth, requirePermission('patients', 'edit'), staffOnly, [
+  body('duplicate_id', 'Valid duplicate patient is required').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const merge = await patientMerge.mergePatients(
+      req.user.tenant_id, req.params.id, req.body.duplicate_id, req.user.id
+    );
+
+    res.status(201).json({
+      success: true,
+      data: merge
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Merge patients error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/patients
+// @desc    Register a new patient
+// @access  Private
+router.post('/', auth, requirePermission('patients', 'create'), patientValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    if (!await validateClinic(req.user.tenant_id, req.body.clinic_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid clinic'
+      });
+    }
+
+    if (await isPatientLimitReached(req.user.tenant_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Patient limit reached for this subscription'
+      });
+    }
+
+    const patient = new Patient({
+      ...pickPatientFields(req.body),
+      tenant_id: req.user.tenant_id,
+      patient_id: await patientHelpers.generatePatientId(req.user.tenant_id, req.body.clinic_id)
+    });
+
+    await patient.save();
+
+    res.status(201).json({
+      success: true,
+      data: patient
+    });
+
+  } catch (error) {
+    console.error('Create patient error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT/PATCH /api/patients/:id
+// @desc    Update patient details
+// @access  Private
+const updatePatient = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const patient = await Patient.findOne({
+      _id: req.params.id,
+      tenant_id: req.user.tenant_id,
+      deleted_at: null
+    });
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    if (!await validateClinic(req.user.tenant_id, req.body.clinic_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid clinic'
+      });
+    }
+
+    const fields = pickPatientFields(req.body);
+    Object.keys(fields).forEach(field => {
+      patient.set(field, fields[field], NESTED_FIELDS.includes(field) ? { merge: true } : undefined);
+    });
+
+    await patient.save();
+
+    res.json({
+      success: true,
+      data: patient
+    });
+
+  } catch (error) {
+    console.error('Update patient error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+router.put('/:id', auth, requirePermission('patients', 'edit'), patientValidators(true), updatePatient);
+router.patch('/:id', auth, requirePermission('patients', 'edit'), patientValidators(true), updatePatient);
+
+// @route   DELETE /api/patients/:id
+// @desc    Soft delete a patient
+// @access  Private
+router.delete('/:id', auth, requirePermission('patients', 'delete'), async (req, res) => {
+  try {
+    const patient = await Patient.findOne({
+      _id: req.params.id,
+      tenant_id: req.user.tenant_id,
+      deleted_at: null
+    });
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    await patient.softDelete();
+
+    res.json({
+      success: true,
+      message: 'Patient deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete patient error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/patients/:id/restore
+// @desc    Restore a soft-deleted patient
+// @access  Private
+router.patch('/:id/restore', auth, requirePermission('patients', 'delete'), async (req, res) => {
+  try {
+    const patient = await Patient.findOne({
+      _id: req.params.id,
+      tenant_id: req.user.tenant_id,
+      deleted_at: { $ne: null }
+    });
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted patient not found'
+      });
+    }
+
+    // Its records now belong to the survivor; only undoing the merge puts them back
+    if (patient.merged_into) {
+      const merge = await PatientMerge.findOne({
+        tenant_id: req.user.tenant_id,
+        duplicate_id: patient._id,
+        status: 'merged'
+      }).select('_id');
+
+      return res.status(409).json({
+        success: false,
+        message: 'This patient was merged into another record, undo the merge with POST /api/patients/merges/:mergeId/undo instead',
+        merge_id: merge ? merge._id : null
+      });
+    }
+
+    if (await isPatientLimitReached(req.user.tenant_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Patient limit reached for this subscription'
+      });
+    }
+
+    await patient.restore();
+
+    res.json({
+      success: true,
+      data: patient
+    });
+
+  } catch (error) {
+    console.error('Restore patient error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 module.exports = router;
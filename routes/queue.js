@@ -0,0 +1,283 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+
+const Clinic = require('../models/Clinic');
+const Patient = require('../models/Patient');
+const QueueToken = require('../models/QueueToken');
+const { queueHelpers } = require('../utils/database-helpers');
+const { auth, canAccessClinic, clinicScopeFilter, requirePermission, staffOnly } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Token lifecycle actions reachable through PATCH /:id/:action
+const STATUS_ACTIONS = {
+  // Express 5 leaves req.body undefined when a PATCH has no body
+  call: (token, req) => token.call((req.body || {}).counter, req.user.id),
+  start: (token) => token.startService(),
+  done: (token) => token.finish(),
+  skip: (token) => token.skip()
+};
+
+// Staff limited to other clinics get null, as for a clinic that doesn't exist
+const findClinic = async (req, clinicId) => canAccessClinic(req, clinicId)
+  ? Clinic.findOne({ _id: clinicId, tenant_id: req.user.tenant_id, deleted_at: null })
+  : null;
+
+// @route   GET /api/queue/display/:clinicId
+// @desc    Lobby display board for today's queue (token numbers only)
+// @access  Public
+router.get('/display/:clinicId', [
+  param('clinicId').isMongoId()
+], async (req, res) => {
+  try {
+    const clinic = validationResult(req).isEmpty()
+      ? await Clinic.findOne({ _id: req.params.clinicId, is_active: true, deleted_at: null })
+      : null;
+
+    if (!clinic) {
+      return res.status(404).json({
+        success: false,
+        message: 'Clinic not found'
+      });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: await queueHelpers.getDisplayBoard(clinic)
+    });
+
+  } catch (error) {
+    console.error('Queue display error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/queue
+// @desc    Get a clinic's tokens for a day (defaults to today)
+// @access  Private
+router.get('/', auth, requirePermission('appointments', 'view'), staffOnly, [
+  query('clinicId', 'Valid clinic is required').isMongoId(),
+  query('date', 'Date must be YYYY-MM-DD').optional().matches(/^\d{4}-\d{2}-\d{2}$/),
+  query('status').optional().isIn(Object.keys(QueueToken.STATUS_TRANSITIONS))
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const clinic = await findClinic(req, req.query.clinicId);
+    if (!clinic) {
+      return res.status(404).json({
+        success: false,
+        message: 'Clinic not found'
+      });
+    }
+
+    const tokens = await QueueToken.findByDay(
+      req.user.tenant_id,
+      clinic._id,
+      req.query.date || await queueHelpers.getQueueDate(clinic),
+      req.query.status
+    );
+
+    res.json({
+      success: true,
+      count: tokens.length,
+      data: tokens
+    });
+
+  } catch (error) {
+    console.error('Get queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/queue
+// @desc    Issue a walk-in token in today's queue
+// @access  Private
+router.post('/', auth, requirePermission('appointments', 'create'), staffOnly, [
+  body('clinic_id', 'Valid clinic is required').isMongoId(),
+  body('patient_id', 'Invalid patient').optional({ values: 'null' }).isMongoId(),
+  body('service_id', 'Invalid service').optional({ values: 'null' }).isMongoId(),
+  body('doctor_id', 'Invalid doctor').optional({ values: 'null' }).isMongoId(),
+  body('visitor_name').optional().isLength({ max: 255 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const clinic = await findClinic(req, req.body.clinic_id);
+    if (!clinic) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid clinic'
+      });
+    }
+
+    if (req.body.patient_id) {
+      const patient = await Patient.findOne({
+        _id: req.body.patient_id,
+        tenant_id: req.user.tenant_id,
+        deleted_at: null
+      });
+
+      if (!patient) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid patient'
+        });
+      }
+    }
+
+    const token = await queueHelpers.issueToken(clinic, {
+      patient_id: req.body.patient_id || null,
+      visitor_name: req.body.visitor_name,
+      service_id: req.body.service_id || null,
+      doctor_id: req.body.doctor_id || null,
+      notes: req.body.notes,
+      issued_by: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: token
+    });
+
+  } catch (error) {
+    console.error('Issue queue token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/queue/call-next
+// @desc    Call the next waiting token to a counter, optionally for one doctor
+// @access  Private
+router.post('/call-next', auth, requirePermission('appointments', 'edit'), staffOnly, [
+  body('clinic_id', 'Valid clinic is required').isMongoId(),
+  body('doctor_id', 'Invalid doctor').optional({ values: 'null' }).isMongoId(),
+  body('counter').optional().isLength({ max: 50 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.body.doctor_id && !req.body.counter) {
+      return res.status(400).json({
+        success: false,
+        message: 'A counter or doctor is required to call the next token'
+      });
+    }
+
+    const clinic = await findClinic(req, req.body.clinic_id);
+    if (!clinic) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid clinic'
+      });
+    }
+
+    const token = await QueueToken.callNext(req.user.tenant_id, clinic._id, await queueHelpers.getQueueDate(clinic), {
+      doctorId: req.body.doctor_id,
+      counter: req.body.counter,
+      calledBy: req.user.id
+    });
+
+    if (!token) {
+      return res.status(404).json({
+        success: false,
+        message: 'No tokens are waiting'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: token
+    });
+
+  } catch (error) {
+    console.error('Call next token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/queue/:id/:action
+// @desc    Move a token through the queue (call, start, done, skip)
+// @access  Private
+router.patch('/:id/:action', auth, requirePermission('appointments', 'edit'), staffOnly, async (req, res) => {
+  try {
+    // Own keys only, so prototype names like 'constructor' aren't actions
+    const transition = Object.hasOwn(STATUS_ACTIONS, req.params.action) && STATUS_ACTIONS[req.params.action];
+    if (!transition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown queue action'
+      });
+    }
+
+    const token = await QueueToken.findOne({
+      _id: req.params.id,
+      tenant_id: req.user.tenant_id,
+      ...clinicScopeFilter(req)
+    });
+
+    if (!token) {
+      return res.status(404).json({
+        success: false,
+        message: 'Queue token not found'
+      });
+    }
+
+    await transition(token, req);
+
+    res.json({
+      success: true,
+      data: token
+    });
+
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Queue token status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,367 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+
+const Resource = require('../models/Resource');
+const Clinic = require('../models/Clinic');
+const { resourceHelpers } = require('../utils/database-helpers');
+const listQuery = require('../utils/list-query');
+const { auth, canAccessClinic, clinicScopeFilter, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// List query options for GET /api/resources
+const RESOURCE_LIST = {
+  filters: ['clinic_id', 'type', 'category', 'is_active'],
+  sortable: ['name', 'createdAt'],
+  defaultSort: 'name'
+};
+
+const nameTakenMessage = (existing) => existing.deleted_at
+  ? 'A deleted resource in the clinic has this name, restore it instead'
+  : 'A resource with this name already exists in the clinic';
+
+// @route   GET /api/resources
+// @desc    Get rooms and equipment for tenant, optionally for one clinic
+// @access  Private
+router.get('/', auth, requirePermission('clinics', 'view'), [
+  query('clinicId', 'Invalid clinic').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const filter = { tenant_id: req.user.tenant_id, deleted_at: null, ...clinicScopeFilter(req) };
+    if (req.query.clinicId) {
+      filter.$and = [{ clinic_id: req.query.clinicId }];
+    }
+
+    const result = await listQuery.find(Resource, filter, req.query, RESOURCE_LIST);
+
+    res.set('X-Total-Count', String(result.total));
+    res.json({
+      success: true,
+      count: result.data.length,
+      pagination: result.pagination,
+      data: result.data
+    });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get resources error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/resources/utilisation
+// @desc    Per-resource bookings and utilisation for one clinic day
+// @access  Private
+router.get('/utilisation', auth, requirePermission('clinics', 'view'), [
+  query('clinicId', 'Valid clinic is required').isMongoId(),
+  query('date', 'Date must be YYYY-MM-DD').matches(/^\d{4}-\d{2}-\d{2}$/)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const utilisation = canAccessClinic(req, req.query.clinicId) &&
+      await resourceHelpers.getDailyUtilisation(req.user.tenant_id, req.query.clinicId, req.query.date);
+
+    if (!utilisation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Clinic not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: utilisation
+    });
+
+  } catch (error) {
+    console.error('Get resource utilisation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/resources/:id
+// @desc    Get resource by ID
+// @access  Private
+router.get('/:id', auth, requirePermission('clinics', 'view'), async (req, res) => {
+  try {
+    const resource = await Resource.findOne({
+      _id: req.params.id,
+      tenant_id: req.user.tenant_id,
+      deleted_at: null,
+      ...clinicScopeFilter(req)
+    });
+
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resource not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: resource
+    });
+
+  } catch (error) {
+    console.error('Get resource error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/resources
+// @desc    Create a room or piece of equipment in a clinic
+// @access  Private
+router.post('/', auth, requirePermission('clinics', 'create'), [
+  body('clinic_id', 'Valid clinic is required').isMongoId(),
+  body('name', 'Name is required').not().isEmpty(),
+  body('type', 'Type must be room or equipment').isIn(['room', 'equipment'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const clinic = canAccessClinic(req, req.body.clinic_id) && await Clinic.findOne({
+      _id: req.body.clinic_id,
+      tenant_id: req.user.tenant_id,
+      deleted_at: null
+    });
+
+    if (!clinic) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid clinic'
+      });
+    }
+
+    // Names stay reserved while a resource is soft deleted, so restore can't clash
+    const existing = await Resource.findOne({
+      tenant_id: req.user.tenant_id,
+      clinic_id: clinic._id,
+      name: req.body.name
+    });
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: nameTakenMessage(existing)
+      });
+    }
+
+    const resource = new Resource({
+      tenant_id: req.user.tenant_id,
+      clinic_id: clinic._id,
+      name: req.body.name,
+      type: req.body.type,
+      category: req.body.category,
+      description: req.body.description
+    });
+
+    await resource.save();
+
+    res.status(201).json({
+      success: true,
+      data: resource
+    });
+
+  } catch (error) {
+    console.error('Create resource error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/resources/:id
+// @desc    Update a resource
+// @access  Private
+router.put('/:id', auth, requirePermission('clinics', 'edit'), [
+  body('name', 'Name cannot be empty').optional().not().isEmpty(),
+  body('type', 'Type must be room or equipment').optional().isIn(['room', 'equipment']),
+  body('is_active').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const resource = await Resource.findOne({
+      _id: req.params.id,
+      tenant_id: req.user.tenant_id,
+      deleted_at: null,
+      ...clinicScopeFilter(req)
+    });
+
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resource not found'
+      });
+    }
+
+    if (req.body.name && req.body.name !== resource.name) {
+      const existing = await Resource.findOne({
+        tenant_id: req.user.tenant_id,
+        clinic_id: resource.clinic_id,
+        name: req.body.name,
+        _id: { $ne: resource._id }
+      });
+
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          message: nameTakenMessage(existing)
+        });
+      }
+    }
+
+    ['name', 'type', 'category', 'description', 'is_active'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        resource[field] = req.body[field];
+      }
+    });
+
+    await resource.save();
+
+    res.json({
+      success: true,
+      data: resource
+    });
+
+  } catch (error) {
+    console.error('Update resource error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/resources/:id
+// @desc    Soft delete a resource
+// @access  Private
+router.delete('/:id', auth, requirePermission('clinics', 'delete'), async (req, res) => {
+  try {
+    const resource = await Resource.findOne({
+      _id: req.params.id,
+      tenant_id: req.user.tenant_id,
+      deleted_at: null,
+      ...clinicScopeFilter(req)
+    });
+
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resource not found'
+      });
+    }
+
+    await resource.softDelete();
+
+    res.json({
+      success: true,
+      message: 'Resource deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete resource error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/resources/:id/restore
+// @desc    Restore a soft-deleted resource
+// @access  Private
+router.patch('/:id/restore', auth, requirePermission('clinics', 'delete'), async (req, res) => {
+  try {
+    const resource = await Resource.findOne({
+      _id: req.params.id,
+      tenant_id: req.user.tenant_id,
+      deleted_at: { $ne: null },
+      ...clinicScopeFilter(req)
+    });
+
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted resource not found'
+      });
+    }
+
+    const clinic = await Clinic.findOne({
+      _id: resource.clinic_id,
+      tenant_id: req.user.tenant_id,
+      deleted_at: null
+    });
+
+    if (!clinic) {
+      return res.status(400).json({
+        success: false,
+        message: 'Restore the resource\'s clinic first'
+      });
+    }
+
+    await resource.restore();
+
+    res.json({
+      success: true,
+      data: resource
+    });
+
+  } catch (error) {
+    console.error('Restore resource error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,466 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+
+const Role = require('../models/Role');
+const User = require('../models/User');
+const listQuery = require('../utils/list-query');
+const { auth, loadAccess, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// List query options for GET /api/roles
+const ROLE_LIST = {
+  filters: ['is_active', 'is_system_role'],
+  sortable: ['name', 'createdAt'],
+  defaultSort: 'name'
+};
+
+const formatRole = (role) => ({
+  id: role._id,
+  name: role.name,
+  description: role.description,
+  permissions: role.getPermissionMatrix(),
+  is_system_role: role.is_system_role,
+  is_active: role.is_active,
+  created_at: role.createdAt,
+  updated_at: role.updatedAt
+});
+
+// Roles that were never seeded are built from the defaults and have no id
+const formatEffectivePermissions = (user, role) => ({
+  user_id: user._id,
+  role: role ? {
+    id: role.isNew ? null : role._id,
+    name: role.name,
+    is_system_role: role.is_system_role
+  } : null,
+  permissions: role ? role.getPermissionMatrix() : {}
+});
+
+const roleValidators = (isUpdate) => [
+  isUpdate
+    ? body('name', 'Name cannot be empty').optional().trim().not().isEmpty().isLength({ max: 100 })
+    : body('name', 'Name is required').trim().not().isEmpty().isLength({ max: 100 }),
+  body('description').optional().trim(),
+  body('permissions', 'Permissions must be an object').optional().isObject(),
+  body('is_active', 'is_active must be a boolean').optional().isBoolean().toBoolean()
+];
+
+const findRole = (req) => Role.findOne({
+  _id: req.params.id,
+  tenant_id: req.user.tenant_id,
+  deleted_at: null
+});
+
+// @route   GET /api/roles
+// @desc    Get all roles for tenant
+// @access  Private
+router.get('/', auth, requirePermission('users', 'view'), async (req, res) => {
+  try {
+    // No ?fields: formatRole needs every permission to build the matrix
+    const result = await listQuery.find(Role, {
+      tenant_id: req.user.tenant_id,
+      deleted_at: null
+    }, { ...req.query, fields: undefined }, ROLE_LIST);
+
+    res.set('X-Total-Count', String(result.total));
+    res.json({
+      success: true,
+      count: result.data.length,
+      pagination: result.pagination,
+      data: result.data.map(formatRole)
+    });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/roles/me/permissions
+// @desc    Get the current user's effective permissions
+// @access  Private
+router.get('/me/permissions', auth, async (req, res) => {
+  try {
+    const access = await loadAccess(req);
+
+    if (!access) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token is not valid'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatEffectivePermissions(access.user, access.role)
+    });
+
+  } catch (error) {
+    console.error('Get own permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/roles/users/:userId/permissions
+// @desc    Get a user's effective permissions
+// @access  Private
+router.get('/users/:userId/permissions', auth, requirePermission('users', 'view'), async (req, res) => {
+  try {
+    const user = await User.findOne({
+      _id: req.params.userId,
+      tenant_id: req.user.tenant_id,
+      deleted_at: null
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const role = user.is_active ? await Role.resolveForUser(user) : null;
+
+    res.json({
+      success: true,
+      data: formatEffectivePermissions(user, role)
+    });
+
+  } catch (error) {
+    console.error('Get user permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/roles/:id
+// @desc    Get role by ID
+// @access  Private
+router.get('/:id', auth, requirePermission('users', 'view'), async (req, res) => {
+  try {
+    const role = await findRole(req);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatRole(role)
+    });
+
+  } catch (error) {
+    console.error('Get role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/roles
+// @desc    Create a custom role
+// @access  Private
+router.post('/', auth, requirePermission('users', 'manage_roles'), roleValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const permissions = req.body.permissions || {};
+    const invalid = Role.findInvalidPermission(permissions);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown permission ${invalid}`
+      });
+    }
+
+    // Names stay reserved while a role is soft deleted, so restore can't clash
+    const existing = await Role.findOne({ tenant_id: req.user.tenant_id, name: req.body.name });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A role with this name already exists'
+      });
+    }
+
+    const role = new Role({
+      tenant_id: req.user.tenant_id,
+      name: req.body.name,
+      description: req.body.description,
+      is_active: req.body.is_active !== false
+    });
+    await role.updatePermissions(permissions);
+
+    res.status(201).json({
+      success: true,
+      data: formatRole(role)
+    });
+
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/roles/:id
+// @desc    Update a role's details or permissions
+// @access  Private
+router.put('/:id', auth, requirePermission('users', 'manage_roles'), roleValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const role = await findRole(req);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    // Express 5 leaves req.body undefined when a PUT has no body
+    const data = req.body || {};
+    const permissions = data.permissions || {};
+    const invalid = Role.findInvalidPermission(permissions);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown permission ${invalid}`
+      });
+    }
+
+    // Users without a role_id are matched to system roles by name
+    if (role.is_system_role && data.name !== undefined && data.name !== role.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'System roles cannot be renamed'
+      });
+    }
+
+    if (role.is_system_role && data.is_active === false) {
+      return res.status(400).json({
+        success: false,
+        message: 'System roles cannot be deactivated'
+      });
+    }
+
+    // Someone must always be able to manage roles, or nobody can fix them
+    const dropsRoleManagement = role.is_active && role.hasPermission('users', 'manage_roles') &&
+      (data.is_active === false || (permissions.users && permissions.users.manage_roles === false));
+    if (dropsRoleManagement &&
+        await Role.countOthersWithPermission(req.user.tenant_id, 'users', 'manage_roles', role._id) === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is the last active role that can manage roles'
+      });
+    }
+
+    if (data.name !== undefined && data.name !== role.name) {
+      const existing = await Role.findOne({ tenant_id: req.user.tenant_id, name: data.name });
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          message: 'A role with this name already exists'
+        });
+      }
+      role.name = data.name;
+    }
+
+    if (data.description !== undefined) {
+      role.description = data.description;
+    }
+    if (data.is_active !== undefined) {
+      role.is_active = data.is_active;
+    }
+
+    await role.updatePermissions(permissions);
+
+    res.json({
+      success: true,
+      data: formatRole(role)
+    });
+
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/roles/:id
+// @desc    Delete a custom role; its users fall back to their default role
+// @access  Private
+router.delete('/:id', auth, requirePermission('users', 'manage_roles'), async (req, res) => {
+  try {
+    const role = await findRole(req);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.is_system_role) {
+      return res.status(400).json({
+        success: false,
+        message: 'System roles cannot be deleted'
+      });
+    }
+
+    if (role.is_active && role.hasPermission('users', 'manage_roles') &&
+        await Role.countOthersWithPermission(req.user.tenant_id, 'users', 'manage_roles', role._id) === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is the last active role that can manage roles'
+      });
+    }
+
+    await role.softDelete();
+    await User.updateMany(
+      { tenant_id: req.user.tenant_id, role_id: role._id },
+      { $unset: { role_id: 1 } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/roles/:id/restore
+// @desc    Restore a deleted role
+// @access  Private
+router.patch('/:id/restore', auth, requirePermission('users', 'manage_roles'), async (req, res) => {
+  try {
+    const role = await Role.findOne({
+      _id: req.params.id,
+      tenant_id: req.user.tenant_id,
+      deleted_at: { $ne: null }
+    });
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted role not found'
+      });
+    }
+
+    await role.restore();
+
+    res.json({
+      success: true,
+      data: formatRole(role)
+    });
+
+  } catch (error) {
+    console.error('Restore role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/roles/:id/users/:userId
+// @desc    Assign a role to a user
+// @access  Private
+router.put('/:id/users/:userId', auth, requirePermission('users', 'manage_roles'), async (req, res) => {
+  try {
+    if (req.params.userId === req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const role = await findRole(req);
+    if (!role || !role.is_active) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const user = await User.findOne({
+      _id: req.params.userId,
+      tenant_id: req.user.tenant_id,
+      deleted_at: null
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.role === 'patient') {
+      return res.status(400).json({
+        success: false,
+        message: 'Roles can only be assigned to staff'
+      });
+    }
+
+    user.role_id = role._id;
+    await user.save();
+
+    res.json({
+      success: true,
+      data: formatEffectivePermissions(user, role)
+    });
+
+  } catch (error) {
+    console.error('Assign role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
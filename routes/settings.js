@@ -0,0 +1,148 @@
+const express = require('express');
+
+const Tenant = require('../models/Tenant');
+const numbering = require('../services/numbering');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+const SETTING_SECTIONS = Object.keys(Tenant.schema.tree.settings);
+const LOGO_PATH = 'branding.logo_url';
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// { reminders: { channels: [...] } } -> [['reminders.channels', [...]]]
+const flatten = (value, prefix = '') => Object.entries(value).flatMap(([key, item]) => {
+  const path = prefix ? `${prefix}.${key}` : key;
+  return isPlainObject(item) ? flatten(item, path) : [[path, item]];
+});
+
+// Effective settings, with schema defaults filled in and legacy keys dropped
+const formatSettings = (tenant) => {
+  const settings = tenant.toObject().settings || {};
+  const data = {};
+  SETTING_SECTIONS.forEach(section => {
+    data[section] = settings[section];
+  });
+  data.branding = { ...data.branding, logo_url: tenant.logo_url || null };
+  return data;
+};
+
+const findTenant = (req) => Tenant.findOne({ _id: req.user.tenant_id, deleted_at: null });
+
+// @route   GET /api/settings
+// @desc    Get the tenant's settings and branding
+// @access  Private
+router.get('/', auth, requirePermission('settings', 'view'), async (req, res) => {
+  try {
+    const tenant = await findTenant(req);
+
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tenant not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatSettings(tenant)
+    });
+
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/settings
+// @desc    Update part of the tenant's settings; null resets a value to its default
+// @access  Private
+router.patch('/', auth, requirePermission('settings', 'edit'), async (req, res) => {
+  try {
+    if (!isPlainObject(req.body) || Object.keys(req.body).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No settings provided'
+      });
+    }
+
+    const tenant = await findTenant(req);
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tenant not found'
+      });
+    }
+
+    const changes = flatten(req.body);
+    const unknown = changes.find(([path]) => path !== LOGO_PATH && !Tenant.schema.path(`settings.${path}`));
+    if (unknown) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown setting ${unknown[0]}`
+      });
+    }
+
+    changes.forEach(([path, value]) => {
+      if (path === LOGO_PATH) {
+        tenant.logo_url = value === null ? undefined : value;
+      } else {
+        tenant.set(`settings.${path}`, value === null ? undefined : value);
+      }
+    });
+
+    if (tenant.logo_url && !/^https?:\/\/\S+$/i.test(tenant.logo_url)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: [{ path: LOGO_PATH, msg: 'Logo must be an http(s) URL' }]
+      });
+    }
+
+    const validationError = tenant.validateSync();
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: Object.values(validationError.errors).map(error => ({
+          path: error.path.replace(/^settings\./, ''),
+          msg: error.message
+        }))
+      });
+    }
+
+    const yearlyWithoutYear = Object.keys(numbering.DEFAULT_FORMATS)
+      .find(type => !numbering.isValidFormat(numbering.getFormat(tenant, type)));
+    if (yearlyWithoutYear) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: [{
+          path: `numbering.${yearlyWithoutYear}.reset`,
+          msg: 'Yearly reset needs a template that includes {year}'
+        }]
+      });
+    }
+
+    await tenant.save();
+
+    // Reload so values reset with null show their defaults again
+    res.json({
+      success: true,
+      data: formatSettings(await findTenant(req))
+    });
+
+  } catch (error) {
+    console.error('Update settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
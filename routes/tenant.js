@@ -1,18 +1,140 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 
 const Tenant = require('../models/Tenant');
+const onboarding = require('../services/tenant-onboarding');
+const accountEmails = require('../services/account-emails');
+const authTokens = require('../services/auth-tokens');
+const { isValidTimeZone } = require('../utils/time-zone');
+const { auth } = require('../middleware/auth');
 
 const router = express.Router();
 
-// @route   GET /api/tenants/:slug
-// @desc    Get tenant by slug
+// @route   GET /api/tenants/check-slug
+// @desc    Check whether a workspace slug is available
 // @access  Public
-router.get('/:slug', async (req, res) => {
+router.get('/check-slug', [
+  query('slug', 'Slug is required').isString().not().isEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const reason = await onboarding.checkSlug(req.query.slug);
+
+    res.json({
+      success: true,
+      data: {
+        available: !reason,
+        reason
+      }
+    });
+
+  } catch (error) {
+    console.error('Check slug error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/tenants/signup
+// @desc    Create a tenant with its first clinic and admin user on a trial
+// @access  Public
+router.post('/signup', [
+  body('tenant.name', 'Organization name is required').trim().not().isEmpty().isLength({ max: 255 }),
+  body('tenant.slug', 'Slug is required').trim().not().isEmpty(),
+  body('tenant.email', 'Please include a valid organization email').isEmail(),
+  body('tenant.phone').optional().trim().isLength({ max: 50 }),
+  body('tenant.country').optional().trim().isLength({ max: 100 }),
+  body('tenant.timezone', 'Invalid time zone').optional().custom(isValidTimeZone),
+  body('tenant.currency', 'Currency must be a 3-letter ISO code').optional().matches(/^[A-Za-z]{3}$/),
+  body('tenant.locale', 'Invalid locale').optional().isLocale(),
+  body('clinic.name', 'Clinic name is required').trim().not().isEmpty().isLength({ max: 255 }),
+  body('clinic.code', 'Clinic code must be up to 10 letters or numbers').optional().matches(/^[A-Za-z0-9]{1,10}$/),
+  body('clinic.email', 'Invalid clinic email').optional().isEmail(),
+  body('admin.first_name', 'First name is required').trim().not().isEmpty(),
+  body('admin.last_name', 'Last name is required').trim().not().isEmpty(),
+  body('admin.email', 'Please include a valid admin email').isEmail(),
+  body('admin.password', 'Password must be 6 or more characters').isLength({ min: 6 }),
+  body('plan', 'Plan must be basic, professional or enterprise').optional().isIn(['basic', 'professional', 'enterprise'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { tenant, clinic, user } = await onboarding.provisionTenant(req.body);
+
+    onboarding.sendWelcome({ tenant, clinic, user })
+      .catch(error => console.error('Welcome email error:', error));
+    accountEmails.sendEmailVerification(user)
+      .catch(error => console.error('Verification email error:', error));
+
+    const tokens = await authTokens.issueSession(user, req);
+
+    res.status(201).json({
+      success: true,
+      ...tokens,
+      data: {
+        tenant: {
+          id: tenant._id,
+          name: tenant.name,
+          slug: tenant.slug,
+          subscription_plan: tenant.subscription_plan,
+          subscription_status: tenant.subscription_status,
+          trial_ends_at: tenant.trial_ends_at
+        },
+        clinic: {
+          id: clinic._id,
+          name: clinic.name
+        },
+        user: {
+          id: user._id,
+          email: user.email,
+          first_name: user.first_name,
+          last_name: user.last_name,
+          role: user.role
+        }
+      }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Tenant signup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/tenants/:slug
+// @desc    Get the caller's own tenant by slug; other slugs are not found
+// @access  Private
+router.get('/:slug', auth, async (req, res) => {
   try {
     const tenant = await Tenant.findBySlug(req.params.slug);
     
-    if (!tenant) {
+    if (!tenant || tenant._id.toString() !== req.user.tenant_id.toString()) {
       return res.status(404).json({
         success: false,
         message: 'Tenant not found'
@@ -34,11 +156,11 @@ router.get('/:slug', async (req, res) => {
 });
 
 // @route   GET /api/tenants
-// @desc    Get all active tenants (for public registration)
-// @access  Public
-router.get('/', async (req, res) => {
+// @desc    Get the caller's tenant; tenants are never listed publicly
+// @access  Private
+router.get('/', auth, async (req, res) => {
   try {
-    const tenants = await Tenant.findActive();
+    const tenants = await Tenant.find({ _id: req.user.tenant_id, is_active: true, deleted_at: null });
     
     res.json({
       success: true,
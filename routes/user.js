@@ -1,38 +1,22 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const { body, validationResult } = require('express-validator');
 
 const User = require('../models/User');
 const { userHelpers } = require('../utils/database-helpers');
+const listQuery = require('../utils/list-query');
+const accountEmails = require('../services/account-emails');
+const authTokens = require('../services/auth-tokens');
+const mfa = require('../services/mfa');
+const loginProtection = require('../services/login-protection');
+const staffUsers = require('../services/staff-users');
+const { auth, clinicScopeFilter, hasPermission, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Middleware to protect routes
-const auth = async (req, res, next) => {
-  try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'No token, authorization denied'
-      });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded.user;
-    next();
-  } catch (error) {
-    res.status(401).json({
-      success: false,
-      message: 'Token is not valid'
-    });
-  }
-};
-
 // @route   GET /api/users/dashboard
 // @desc    Get user dashboard data
 // @access  Private
-router.get('/dashboard', auth, async (req, res) => {
+router.get('/dashboard', auth, requirePermission('dashboard', 'view'), async (req, res) => {
   try {
     const dashboard = await userHelpers.getUserDashboard(req.user.tenant_id, req.user.id);
     
@@ -53,7 +37,7 @@ router.get('/dashboard', auth, async (req, res) => {
 // @route   GET /api/users/role/:role
 // @desc    Get users by role
 // @access  Private
-router.get('/role/:role', auth, async (req, res) => {
+router.get('/role/:role', auth, requirePermission('users', 'view'), async (req, res) => {
   try {
     const users = await userHelpers.getUsersByRole(req.user.tenant_id, req.params.role);
     
@@ -78,4 +62,682 @@ router.get('/role/:role', auth, async (req, res) => {
   }
 });
 
+// Fields users may change on their own profile
+const PROFILE_FIELDS = [
+  'first_name', 'last_name', 'phone', 'date_of_birth', 'gender', 'profile_image_url',
+  'address', 'city', 'state', 'country', 'postal_code'
+];
+
+// List query options for GET /api/users
+const USER_LIST = {
+  filters: ['role', 'role_id', 'clinic_id', 'clinic_ids', 'is_active', 'email_verified'],
+  dateFilters: ['createdAt', 'last_login_at'],
+  sortable: ['last_name', 'first_name', 'email', 'createdAt', 'last_login_at'],
+  defaultSort: 'last_name',
+  hiddenFields: ['password_hash', 'salt', 'mfa.secret', 'mfa.pending_secret', 'mfa.recovery_codes', 'mfa.last_used_step']
+};
+
+const staffValidators = (isUpdate) => {
+  const required = (chain) => isUpdate ? chain.optional() : chain;
+
+  return [
+    required(body('first_name', 'First name is required')).trim().not().isEmpty().isLength({ max: 100 }),
+    required(body('last_name', 'Last name is required')).trim().not().isEmpty().isLength({ max: 100 }),
+    required(body('role', 'Role must be admin, doctor or staff')).isIn(staffUsers.STAFF_ROLES),
+    body('role_id', 'Invalid role').optional({ values: 'null' }).isMongoId(),
+    body('phone').optional().isLength({ max: 50 }),
+    body('clinic_ids', 'Clinics must be a list').optional().isArray(),
+    body('clinic_ids.*', 'Invalid clinic').isMongoId(),
+    body('clinic_id', 'Invalid primary clinic').optional({ values: 'null' }).isMongoId()
+  ];
+};
+
+// Staff accounts managed by admins; patients use the self-service flows. Admins
+// limited to particular clinics only reach staff who work at one of them.
+const findStaffUser = (req, filter = { deleted_at: null }) => User.findOne({
+  _id: req.params.id,
+  tenant_id: req.user.tenant_id,
+  role: { $ne: 'patient' },
+  ...filter,
+  ...clinicScopeFilter(req, 'clinic_ids')
+});
+
+const isSelf = (req, user) => user._id.equals(req.user.id);
+
+// @route   PUT /api/users/me
+// @desc    Update the current user's own profile
+// @access  Private
+router.put('/me', auth, [
+  body('first_name', 'First name cannot be empty').optional().trim().not().isEmpty().isLength({ max: 100 }),
+  body('last_name', 'Last name cannot be empty').optional().trim().not().isEmpty().isLength({ max: 100 }),
+  body('phone').optional().isLength({ max: 50 }),
+  body('date_of_birth', 'Date of birth must be a valid date').optional({ values: 'null' }).isISO8601(),
+  body('gender', 'Invalid gender').optional({ values: 'null' }).isIn(['male', 'female', 'other']),
+  body('profile_image_url', 'Profile image must be a URL').optional({ values: 'falsy' }).isURL()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = req.authUser;
+    PROFILE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        user[field] = req.body[field];
+      }
+    });
+
+    await user.save();
+
+    const profile = { id: user._id, email: user.email };
+    PROFILE_FIELDS.forEach(field => {
+      profile[field] = user[field];
+    });
+
+    res.json({
+      success: true,
+      data: profile
+    });
+
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/users
+// @desc    Get staff users for tenant; ?deleted=true lists deleted users for restore
+// @access  Private
+router.get('/', auth, requirePermission('users', 'view'), async (req, res) => {
+  try {
+    const result = await listQuery.find(User, {
+      tenant_id: req.user.tenant_id,
+      role: { $ne: 'patient' },
+      deleted_at: req.query.deleted === 'true' ? { $ne: null } : null,
+      ...clinicScopeFilter(req, 'clinic_ids')
+    }, req.query, USER_LIST);
+
+    res.set('X-Total-Count', String(result.total));
+    res.json({
+      success: true,
+      count: result.data.length,
+      pagination: result.pagination,
+      data: result.data
+    });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users
+// @desc    Invite a staff member by email; they set their password from the link
+// @access  Private
+router.post('/', auth, requirePermission('users', 'create'), [
+  body('email', 'Please include a valid email').isEmail(),
+  ...staffValidators(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    // Granting a custom role or admin rights is role management
+    if ((req.body.role_id || req.body.role === 'admin') && !hasPermission(req, 'users', 'manage_roles')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to assign roles'
+      });
+    }
+
+    const { user, invitationSent } = await staffUsers.invite(req.user.tenant_id, req.body, {
+      invitedBy: req.authUser,
+      scopeIds: req.access.clinicIds
+    });
+
+    const response = {
+      success: true,
+      message: invitationSent ? `Invitation sent to ${user.email}` : `User ${user.email} created`,
+      data: await User.findById(user._id).select('-password_hash -salt')
+    };
+    if (!invitationSent) {
+      response.warning = 'The invitation email could not be sent; resend it with POST /api/users/:id/invitation';
+    }
+
+    res.status(201).json(response);
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Invite user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/users/:id
+// @desc    Get a staff user by ID
+// @access  Private
+router.get('/:id', auth, requirePermission('users', 'view'), async (req, res) => {
+  try {
+    const user = await findStaffUser(req)
+      .select('-password_hash -salt')
+      .populate('role_id', 'name')
+      .populate('clinic_ids', 'name code');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff user not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
+
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/users/:id
+// @desc    Update a staff user's details, role and clinics
+// @access  Private
+router.put('/:id', auth, requirePermission('users', 'edit'), staffValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await findStaffUser(req);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff user not found'
+      });
+    }
+
+    // Express 5 leaves req.body undefined when a PUT has no body
+    const data = req.body || {};
+    const changesRole = data.role !== undefined || data.role_id !== undefined;
+    if (changesRole && !hasPermission(req, 'users', 'manage_roles')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to assign roles'
+      });
+    }
+
+    if (changesRole && isSelf(req, user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    ['first_name', 'last_name', 'phone', 'role'].forEach(field => {
+      if (data[field] !== undefined) {
+        user[field] = data[field];
+      }
+    });
+
+    // null falls back to the default role for the user's legacy role
+    if (data.role_id !== undefined) {
+      user.role_id = data.role_id
+        ? (await staffUsers.findRole(req.user.tenant_id, data.role_id))._id
+        : undefined;
+    }
+
+    if (data.clinic_ids !== undefined || data.clinic_id !== undefined) {
+      user.set(await staffUsers.resolveClinics(req.user.tenant_id, data, user, req.access.clinicIds));
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      data: await User.findById(user._id).select('-password_hash -salt')
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/invitation
+// @desc    Resend a pending invitation with a fresh link
+// @access  Private
+router.post('/:id/invitation', auth, requirePermission('users', 'create'), async (req, res) => {
+  try {
+    const user = await findStaffUser(req);
+    if (!user || !user.is_active) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff user not found'
+      });
+    }
+
+    await staffUsers.resendInvitation(user, { invitedBy: req.authUser });
+
+    res.json({
+      success: true,
+      message: `Invitation sent to ${user.email}`
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Resend invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/users/:id/deactivate
+// @desc    Deactivate a staff user; their sessions end immediately
+// @access  Private
+router.patch('/:id/deactivate', auth, requirePermission('users', 'edit'), async (req, res) => {
+  try {
+    const user = await findStaffUser(req);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff user not found'
+      });
+    }
+
+    if (isSelf(req, user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account'
+      });
+    }
+
+    if (!user.is_active) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already inactive'
+      });
+    }
+
+    user.is_active = false;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'User deactivated'
+    });
+
+  } catch (error) {
+    console.error('Deactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/users/:id/activate
+// @desc    Reactivate a staff user
+// @access  Private
+router.patch('/:id/activate', auth, requirePermission('users', 'edit'), async (req, res) => {
+  try {
+    const user = await findStaffUser(req);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff user not found'
+      });
+    }
+
+    if (user.is_active) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already active'
+      });
+    }
+
+    if (await staffUsers.isUserLimitReached(req.user.tenant_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'User limit reached for this subscription'
+      });
+    }
+
+    user.is_active = true;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'User activated'
+    });
+
+  } catch (error) {
+    console.error('Activate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/users/:id
+// @desc    Soft delete a staff user; their sessions end immediately
+// @access  Private
+router.delete('/:id', auth, requirePermission('users', 'delete'), async (req, res) => {
+  try {
+    const user = await findStaffUser(req);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff user not found'
+      });
+    }
+
+    if (isSelf(req, user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delete your own account'
+      });
+    }
+
+    await user.softDelete();
+
+    res.json({
+      success: true,
+      message: 'User deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/users/:id/restore
+// @desc    Restore a soft-deleted staff user as active
+// @access  Private
+router.patch('/:id/restore', auth, requirePermission('users', 'delete'), async (req, res) => {
+  try {
+    const user = await findStaffUser(req, { deleted_at: { $ne: null } });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted staff user not found'
+      });
+    }
+
+    if (await staffUsers.isUserLimitReached(req.user.tenant_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'User limit reached for this subscription'
+      });
+    }
+
+    await user.restore();
+
+    res.json({
+      success: true,
+      data: await User.findById(user._id).select('-password_hash -salt')
+    });
+
+  } catch (error) {
+    console.error('Restore user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/password-reset
+// @desc    Email a staff member a password reset link
+// @access  Private
+router.post('/:id/password-reset', auth, requirePermission('users', 'edit'), async (req, res) => {
+  try {
+    const user = await findStaffUser(req);
+    if (!user || !user.is_active) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff user not found'
+      });
+    }
+
+    await accountEmails.sendPasswordReset(user, { requestedBy: req.user.id });
+
+    res.json({
+      success: true,
+      message: `Password reset email sent to ${user.email}`
+    });
+
+  } catch (error) {
+    console.error('Send password reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/verification-email
+// @desc    Email a staff member a link to verify their email address
+// @access  Private
+router.post('/:id/verification-email', auth, requirePermission('users', 'edit'), async (req, res) => {
+  try {
+    const user = await findStaffUser(req);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff user not found'
+      });
+    }
+
+    if (user.email_verified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email address is already verified'
+      });
+    }
+
+    await accountEmails.sendEmailVerification(user, { requestedBy: req.user.id });
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${user.email}`
+    });
+
+  } catch (error) {
+    console.error('Send verification email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/mfa/reset
+// @desc    Remove a user's 2FA (lost device) and end their sessions
+// @access  Private
+router.post('/:id/mfa/reset', auth, requirePermission('users', 'edit'), async (req, res) => {
+  try {
+    const user = await findStaffUser(req)
+      .select('+mfa.secret +mfa.pending_secret +mfa.recovery_codes +mfa.last_used_step');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.mfa || (!user.mfa.enabled && !user.mfa.pending_secret)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not set up for this user'
+      });
+    }
+
+    await mfa.disable(user);
+    await authTokens.revokeAllSessions(user._id, 'mfa_reset');
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset'
+    });
+
+  } catch (error) {
+    console.error('Reset MFA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/unlock
+// @desc    Unlock an account locked by failed login attempts
+// @access  Private
+router.post('/:id/unlock', auth, requirePermission('users', 'edit'), async (req, res) => {
+  try {
+    const user = await findStaffUser(req);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await loginProtection.unlock(user);
+
+    res.json({
+      success: true,
+      message: 'Account unlocked'
+    });
+
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/users/:id/clinics
+// @desc    Assign a staff member to clinics (an empty list means every clinic) and set their primary clinic
+// @access  Private
+router.put('/:id/clinics', auth, requirePermission('users', 'edit'), [
+  body('clinic_ids', 'Clinics must be a list').isArray(),
+  body('clinic_ids.*', 'Invalid clinic').isMongoId(),
+  body('clinic_id', 'Invalid primary clinic').optional({ values: 'null' }).isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await findStaffUser(req);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff user not found'
+      });
+    }
+
+    user.set(await staffUsers.resolveClinics(req.user.tenant_id, req.body, user, req.access.clinicIds));
+    await user.save();
+
+    res.json({
+      success: true,
+      data: {
+        id: user._id,
+        clinic_id: user.clinic_id,
+        clinic_ids: user.clinic_ids
+      }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Assign user clinics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,302 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Patient = require('../models/Patient');
+const waitlist = require('../services/waitlist');
+const listQuery = require('../utils/list-query');
+const { auth, canAccessClinic, isClinicScoped, isPatientScoped, ownsPatient, patientScopeFilter, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Entries without a preferred clinic can be served by staff at any clinic
+const entryClinicFilter = (req) =>
+  isClinicScoped(req) ? { clinic_id: { $in: [...req.access.clinicIds, null] } } : {};
+
+const findEntry = (req) => WaitlistEntry.findOne({
+  _id: req.params.id,
+  tenant_id: req.user.tenant_id,
+  deleted_at: null,
+  ...patientScopeFilter(req),
+  ...entryClinicFilter(req)
+});
+
+// List query options for GET /api/waitlist; priority first, then FIFO
+const WAITLIST_LIST = {
+  filters: ['status', 'doctor_id', 'clinic_id', 'patient_id', 'service_id'],
+  dateFilters: ['createdAt'],
+  sortable: ['priority', 'createdAt'],
+  defaultSort: '-priority',
+  populate: [
+    ['patient_id', 'first_name last_name patient_id'],
+    ['doctor_id', 'first_name last_name']
+  ]
+};
+
+// @route   GET /api/waitlist
+// @desc    Get waitlist entries for tenant, optionally filtered by status
+// @access  Private
+router.get('/', auth, requirePermission('appointments', 'view'), async (req, res) => {
+  try {
+    const result = await listQuery.find(WaitlistEntry, {
+      tenant_id: req.user.tenant_id,
+      deleted_at: null,
+      ...patientScopeFilter(req),
+      ...entryClinicFilter(req)
+    }, req.query, WAITLIST_LIST);
+
+    res.set('X-Total-Count', String(result.total));
+    res.json({
+      success: true,
+      count: result.data.length,
+      pagination: result.pagination,
+      data: result.data
+    });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/waitlist
+// @desc    Add a patient to the waitlist
+// @access  Private
+router.post('/', auth, requirePermission('appointments', 'create'), [
+  body('patient_id', 'Valid patient is required').isMongoId(),
+  body('doctor_id', 'Invalid doctor').optional().isMongoId(),
+  body('clinic_id', 'Invalid clinic').optional().isMongoId(),
+  body('service_id', 'Invalid service').optional().isMongoId(),
+  body('priority', 'Priority must be between 0 and 10').optional().isInt({ min: 0, max: 10 }),
+  body('preferred_windows', 'Preferred windows must be a list').optional().isArray(),
+  body('preferred_windows.*.start', 'Window start must be a valid date').isISO8601(),
+  body('preferred_windows.*.end', 'Window end must be a valid date').isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const patient = await Patient.findOne({
+      _id: req.body.patient_id,
+      tenant_id: req.user.tenant_id,
+      deleted_at: null
+    });
+
+    if (!patient || !ownsPatient(req, patient._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid patient'
+      });
+    }
+
+    if (req.body.clinic_id && !canAccessClinic(req, req.body.clinic_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid clinic'
+      });
+    }
+
+    const entry = new WaitlistEntry({
+      tenant_id: req.user.tenant_id,
+      patient_id: patient._id,
+      clinic_id: req.body.clinic_id,
+      doctor_id: req.body.doctor_id,
+      service_id: req.body.service_id,
+      preferred_windows: req.body.preferred_windows || [],
+      priority: isPatientScoped(req) ? 0 : req.body.priority,
+      notes: req.body.notes,
+      created_by: req.user.id
+    });
+
+    await entry.save();
+
+    res.status(201).json({
+      success: true,
+      data: entry
+    });
+
+  } catch (error) {
+    console.error('Create waitlist entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/waitlist/:id
+// @desc    Update preferences or priority of a waiting entry
+// @access  Private
+router.put('/:id', auth, requirePermission('appointments', 'edit'), [
+  body('doctor_id', 'Invalid doctor').optional({ values: 'null' }).isMongoId(),
+  body('clinic_id', 'Invalid clinic').optional({ values: 'null' }).isMongoId(),
+  body('service_id', 'Invalid service').optional({ values: 'null' }).isMongoId(),
+  body('priority', 'Priority must be between 0 and 10').optional().isInt({ min: 0, max: 10 }),
+  body('preferred_windows', 'Preferred windows must be a list').optional().isArray(),
+  body('preferred_windows.*.start', 'Window start must be a valid date').isISO8601(),
+  body('preferred_windows.*.end', 'Window end must be a valid date').isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const entry = await findEntry(req);
+    if (!entry || entry.status !== 'waiting') {
+      return res.status(404).json({
+        success: false,
+        message: 'Waiting entry not found'
+      });
+    }
+
+    if (req.body.clinic_id && !canAccessClinic(req, req.body.clinic_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid clinic'
+      });
+    }
+
+    ['doctor_id', 'clinic_id', 'service_id', 'preferred_windows', 'priority', 'notes'].forEach(field => {
+      // Patients manage their own preferences but not their queue priority
+      if (field === 'priority' && isPatientScoped(req)) return;
+      if (req.body[field] !== undefined) {
+        entry[field] = req.body[field];
+      }
+    });
+
+    await entry.save();
+
+    res.json({
+      success: true,
+      data: entry
+    });
+
+  } catch (error) {
+    console.error('Update waitlist entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/waitlist/:id
+// @desc    Remove a patient from the waitlist
+// @access  Private
+router.delete('/:id', auth, requirePermission('appointments', 'cancel'), async (req, res) => {
+  try {
+    const entry = await findEntry(req);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    // An open offer is passed on before the entry is withdrawn
+    if (entry.status === 'offered') {
+      await waitlist.declineOffer(entry);
+    }
+    await entry.cancel();
+
+    res.json({
+      success: true,
+      message: 'Waitlist entry cancelled'
+    });
+
+  } catch (error) {
+    console.error('Cancel waitlist entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/waitlist/:id/accept
+// @desc    Accept the offered slot and book it
+// @access  Private
+router.post('/:id/accept', auth, requirePermission('appointments', 'edit'), async (req, res) => {
+  try {
+    const entry = await findEntry(req);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    const appointment = await waitlist.acceptOffer(entry, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: appointment
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Accept waitlist offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/waitlist/:id/decline
+// @desc    Decline the offered slot and pass it to the next patient
+// @access  Private
+router.post('/:id/decline', auth, requirePermission('appointments', 'edit'), async (req, res) => {
+  try {
+    const entry = await findEntry(req);
+    if (!entry || entry.status !== 'offered') {
+      return res.status(404).json({
+        success: false,
+        message: 'No open offer for this waitlist entry'
+      });
+    }
+
+    await waitlist.declineOffer(entry);
+
+    res.json({
+      success: true,
+      data: entry
+    });
+
+  } catch (error) {
+    console.error('Decline waitlist offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
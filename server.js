@@ -9,12 +9,24 @@ const morgan = require('morgan');
 // Import database connection
 const connectDB = require('./config/database');
 
+// Import background workers
+const reminderDispatcher = require('./services/reminder-dispatcher');
+const waitlist = require('./services/waitlist');
+
 // Import routes
 const authRoutes = require('./routes/auth');
 const tenantRoutes = require('./routes/tenant');
 const userRoutes = require('./routes/user');
 const patientRoutes = require('./routes/patient');
 const appointmentRoutes = require('./routes/appointment');
+const waitlistRoutes = require('./routes/waitlist');
+const calendarRoutes = require('./routes/calendar');
+const availabilityRoutes = require('./routes/availability');
+const resourceRoutes = require('./routes/resource');
+const queueRoutes = require('./routes/queue');
+const roleRoutes = require('./routes/role');
+const settingsRoutes = require('./routes/settings');
+const clinicRoutes = require('./routes/clinic');
 
 // Create Express app
 const app = express();
@@ -34,8 +46,9 @@ app.use(cors({
     'http://localhost:3004'
   ],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['X-Total-Count']
 }));
 
 // Rate limiting
@@ -46,6 +59,29 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
+// Stricter limit on credential endpoints; successful logins don't count
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX_REQUESTS) || 10,
+  skipSuccessfulRequests: true,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many authentication attempts, please try again later.'
+  }
+});
+app.use([
+  '/api/auth/login',
+  '/api/auth/forgot-password',
+  '/api/auth/reset-password',
+  '/api/auth/verify-email',
+  '/api/auth/accept-invitation',
+  '/api/auth/change-password',
+  '/api/tenants/signup',
+  '/api/tenants/check-slug'
+], authLimiter);
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -72,6 +108,14 @@ app.use('/api/tenants', tenantRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/patients', patientRoutes);
 app.use('/api/appointments', appointmentRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/calendar-feeds', calendarRoutes);
+app.use('/api/doctor-availability', availabilityRoutes);
+app.use('/api/resources', resourceRoutes);
+app.use('/api/queue', queueRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/clinics', clinicRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -99,6 +143,11 @@ const server = app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV}`);
   console.log(`🔗 API URL: http://localhost:${PORT}/api`);
+
+  if (process.env.REMINDER_WORKER_ENABLED !== 'false') {
+    reminderDispatcher.start();
+  }
+  waitlist.start();
 });
 
 // Handle unhandled promise rejections
@@ -0,0 +1,171 @@
+// Password reset, email verification and staff invitations
+// Tokens are single-use, expire, and are stored hashed in UserToken. Emails
+// go through the email channel, which writes to logs/email.log when SMTP is
+// not configured.
+
+const Tenant = require('../models/Tenant');
+const User = require('../models/User');
+const UserToken = require('../models/UserToken');
+const channels = require('./channels');
+const { httpError } = require('../utils/http-error');
+
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const EMAIL_VERIFICATION_TTL_HOURS = 48;
+const INVITATION_TTL_DAYS = 7;
+
+const issueToken = async (user, purpose, ttlMs, requestedBy) => {
+    await UserToken.invalidateForUser(user._id, purpose);
+
+    const token = UserToken.generateToken();
+    await UserToken.create({
+        tenant_id: user.tenant_id,
+        user_id: user._id,
+        purpose,
+        token_hash: UserToken.hashToken(token),
+        email: user.email,
+        expires_at: new Date(Date.now() + ttlMs),
+        requested_by: requestedBy || null
+    });
+    return token;
+};
+
+/**
+ * Email the user a link to choose a new password
+ */
+const sendPasswordReset = async (user, { requestedBy } = {}) => {
+    const token = await issueToken(user, 'password_reset', PASSWORD_RESET_TTL_MINUTES * 60 * 1000, requestedBy);
+
+    return channels.email.send({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hello ${user.first_name}, use the link below to choose a new password. ` +
+            `It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can be used once.\n\n` +
+            `${APP_URL}/reset-password?token=${token}\n\n` +
+            'If you did not ask for this, you can ignore this email.',
+        metadata: {
+            tenant_id: user.tenant_id,
+            user_id: user._id,
+            purpose: 'password_reset'
+        }
+    });
+};
+
+/**
+ * Email the user a link confirming they own their email address
+ */
+const sendEmailVerification = async (user, { requestedBy } = {}) => {
+    const token = await issueToken(user, 'email_verification', EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000, requestedBy);
+
+    return channels.email.send({
+        to: user.email,
+        subject: 'Verify your email address',
+        text: `Hello ${user.first_name}, please confirm your email address with the link below. ` +
+            `It expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.\n\n` +
+            `${APP_URL}/verify-email?token=${token}`,
+        metadata: {
+            tenant_id: user.tenant_id,
+            user_id: user._id,
+            purpose: 'email_verification'
+        }
+    });
+};
+
+/**
+ * Email an invited staff member a link to choose their password. Sending a
+ * new invitation invalidates the previous link.
+ */
+const sendInvitation = async (user, { invitedBy } = {}) => {
+    const tenant = await Tenant.findById(user.tenant_id);
+    const token = await issueToken(user, 'invitation', INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000, invitedBy && invitedBy._id);
+    const inviter = invitedBy ? `${invitedBy.first_name} ${invitedBy.last_name}` : 'Your administrator';
+
+    return channels.email.send({
+        to: user.email,
+        subject: `You have been invited to ${tenant ? tenant.name : 'your clinic'}`,
+        text: `Hello ${user.first_name}, ${inviter} has invited you to join ${tenant ? tenant.name : 'their clinic'}. ` +
+            `Choose a password with the link below to activate your account. ` +
+            `It expires in ${INVITATION_TTL_DAYS} days and can be used once.\n\n` +
+            `${APP_URL}/accept-invitation?token=${token}`,
+        metadata: {
+            tenant_id: user.tenant_id,
+            user_id: user._id,
+            purpose: 'invitation'
+        }
+    });
+};
+
+const findTokenUser = (record) => User.findOne({
+    _id: record.user_id,
+    tenant_id: record.tenant_id,
+    deleted_at: null
+});
+
+/**
+ * Redeem a password reset token. Saving the new password ends every
+ * existing session of the user.
+ */
+const resetPassword = async (token, password) => {
+    const record = await UserToken.consume(token, 'password_reset');
+    const user = record && await findTokenUser(record);
+    if (!user || !user.is_active) {
+        throw httpError(400, 'Invalid or expired token');
+    }
+
+    user.password_hash = password; // Will be hashed by pre-save middleware
+    // Following the emailed link proves the address belongs to the user
+    if (user.email === record.email) {
+        user.email_verified = true;
+        if (user.isInvitationPending()) {
+            user.invitation_accepted_at = new Date();
+        }
+    }
+    await user.save();
+    return user;
+};
+
+/**
+ * Redeem an email verification token
+ */
+const verifyEmail = async (token) => {
+    const record = await UserToken.consume(token, 'email_verification');
+    const user = record && await findTokenUser(record);
+    if (!user || user.email !== record.email) {
+        throw httpError(400, 'Invalid or expired token');
+    }
+
+    user.email_verified = true;
+    await user.save();
+    return user;
+};
+
+/**
+ * Redeem an invitation token by choosing a password. The emailed link also
+ * verifies the address.
+ */
+const acceptInvitation = async (token, password) => {
+    const record = await UserToken.consume(token, 'invitation');
+    const user = record && await findTokenUser(record);
+    if (!user || !user.is_active || !user.isInvitationPending() || user.email !== record.email) {
+        throw httpError(400, 'Invalid or expired invitation');
+    }
+
+    user.password_hash = password; // Will be hashed by pre-save middleware
+    user.email_verified = true;
+    user.invitation_accepted_at = new Date();
+    await user.save();
+    return user;
+};
+
+module.exports = {
+    PASSWORD_RESET_TTL_MINUTES,
+    EMAIL_VERIFICATION_TTL_HOURS,
+    INVITATION_TTL_DAYS,
+    sendPasswordReset,
+    sendEmailVerification,
+    sendInvitation,
+    resetPassword,
+    verifyEmail,
+    acceptInvitation
+};
@@ -0,0 +1,54 @@
+// Patient-facing appointment emails
+
+const Appointment = require('../models/Appointment');
+const Tenant = require('../models/Tenant');
+const channels = require('./channels');
+const { buildCalendar } = require('../utils/icalendar');
+const { formatDateTime } = require('../utils/time-zone');
+
+/**
+ * Email the patient that their appointment is confirmed, with an .ics
+ * attachment so it can be added to their calendar
+ */
+const sendConfirmation = async ({ _id }) => {
+    const appointment = await Appointment.findById(_id)
+        .populate('patient_id', 'first_name last_name email patient_id')
+        .populate('doctor_id', 'first_name last_name')
+        .populate('clinic_id', 'name settings.timezone');
+    if (!appointment) return null;
+
+    const patient = appointment.patient_id;
+    if (!patient || !patient.email) return null;
+
+    const doctor = appointment.doctor_id;
+    const clinic = appointment.clinic_id;
+    // Defaults come from the Tenant settings schema
+    const tenant = (await Tenant.findById(appointment.tenant_id).select('settings')) || new Tenant();
+    const when = formatDateTime(
+        appointment.start_time,
+        (clinic && clinic.settings && clinic.settings.timezone) || tenant.settings.timezone,
+        tenant.settings.locale
+    );
+
+    return channels.email.send({
+        to: patient.email,
+        subject: `Appointment confirmed: ${appointment.title}`,
+        text: `Hello ${patient.first_name}, your appointment` +
+            (doctor ? ` with Dr. ${doctor.first_name} ${doctor.last_name}` : '') +
+            (clinic ? ` at ${clinic.name}` : '') +
+            ` on ${when} is confirmed. Reference: ${appointment.appointment_number}.`,
+        attachments: [{
+            filename: `${appointment.appointment_number}.ics`,
+            content: buildCalendar([appointment], { includePatientDetails: true }),
+            contentType: 'text/calendar; charset=utf-8; method=PUBLISH'
+        }],
+        metadata: {
+            tenant_id: appointment.tenant_id,
+            appointment_id: appointment._id
+        }
+    });
+};
+
+module.exports = {
+    sendConfirmation
+};
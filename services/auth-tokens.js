@@ -0,0 +1,138 @@
+// Access and refresh tokens
+// Access tokens are short-lived JWTs carrying the user's token_version, so
+// bumping the version kills them early. Refresh tokens are opaque, stored
+// hashed per device and rotated on every use.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const { httpError } = require('../utils/http-error');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_IN = process.env.REFRESH_TOKEN_EXPIRES_IN || '7d';
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Durations use the JWT notation: "900" (seconds), "15m", "12h", "7d"
+const parseDuration = (value) => {
+    const match = String(value).trim().match(/^(\d+)\s*([smhd])?$/);
+    if (!match) {
+        throw new Error(`Invalid token lifetime: ${value}`);
+    }
+    return parseInt(match[1]) * DURATION_UNITS[match[2] || 's'];
+};
+
+const signAccessToken = (user) => jwt.sign({
+    user: {
+        id: user._id,
+        email: user.email,
+        role: user.role,
+        tenant_id: user.tenant_id,
+        clinic_id: user.clinic_id,
+        token_version: user.token_version
+    }
+}, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
+
+const describeDevice = (req) => ({
+    name: req.body && req.body.device_name ? String(req.body.device_name).slice(0, 100) : undefined,
+    user_agent: (req.get('User-Agent') || '').slice(0, 500),
+    ip: req.ip
+});
+
+const createRefreshToken = async (user, familyId, device) => {
+    const token = RefreshToken.generateToken();
+    const record = await RefreshToken.create({
+        tenant_id: user.tenant_id,
+        user_id: user._id,
+        token_hash: RefreshToken.hashToken(token),
+        family_id: familyId,
+        device,
+        expires_at: new Date(Date.now() + parseDuration(REFRESH_TOKEN_EXPIRES_IN)),
+        last_used_at: new Date()
+    });
+    return { token, record };
+};
+
+const formatTokens = (user, refreshToken) => ({
+    token: signAccessToken(user),
+    refresh_token: refreshToken,
+    expires_in: Math.floor(parseDuration(ACCESS_TOKEN_EXPIRES_IN) / 1000)
+});
+
+/**
+ * Start a new device session after login or registration
+ */
+const issueSession = async (user, req) => {
+    const { token } = await createRefreshToken(user, crypto.randomUUID(), describeDevice(req));
+    return formatTokens(user, token);
+};
+
+/**
+ * Exchange a refresh token for a new access and refresh token pair.
+ * Presenting a token that was already rotated revokes its whole family.
+ */
+const rotate = async (refreshToken, req) => {
+    const current = await RefreshToken.findByToken(refreshToken);
+    if (!current || current.isExpired()) {
+        throw httpError(401, 'Invalid refresh token');
+    }
+
+    const claimed = await RefreshToken.claim(current._id, 'rotated');
+    if (!claimed) {
+        // Already rotated or revoked: someone is replaying an old token
+        await RefreshToken.revokeFamily(current.family_id, 'reuse_detected');
+        throw httpError(401, 'Invalid refresh token');
+    }
+
+    const user = await User.findOne({
+        _id: current.user_id,
+        tenant_id: current.tenant_id,
+        is_active: true,
+        deleted_at: null
+    });
+    if (!user) {
+        throw httpError(401, 'Invalid refresh token');
+    }
+
+    const { token, record } = await createRefreshToken(user, current.family_id, {
+        ...describeDevice(req),
+        name: current.device && current.device.name
+    });
+    claimed.replaced_by = record._id;
+    await claimed.save();
+
+    return formatTokens(user, token);
+};
+
+/**
+ * End the device session a refresh token belongs to
+ */
+const revokeSession = async (refreshToken, userId) => {
+    const current = await RefreshToken.findByToken(refreshToken);
+    if (!current || current.user_id.toString() !== String(userId)) {
+        return false;
+    }
+    await RefreshToken.revokeFamily(current.family_id, 'logout');
+    return true;
+};
+
+/**
+ * End every session of a user, including access tokens already issued
+ */
+const revokeAllSessions = async (userId, reason = 'logout_all') => {
+    await User.updateOne({ _id: userId }, { $inc: { token_version: 1 } });
+    await RefreshToken.revokeForUser(userId, reason);
+};
+
+module.exports = {
+    ACCESS_TOKEN_EXPIRES_IN,
+    REFRESH_TOKEN_EXPIRES_IN,
+    parseDuration,
+    signAccessToken,
+    issueSession,
+    rotate,
+    revokeSession,
+    revokeAllSessions
+};
@@ -0,0 +1,51 @@
+// Email channel backed by SMTP
+// Falls back to the file log channel when SMTP_HOST is not configured so
+// reminders can be exercised locally without a mail server
+
+const nodemailer = require('nodemailer');
+const createFileLogChannel = require('./file-log');
+
+let transporter = null;
+
+const getTransporter = () => {
+    if (!transporter) {
+        const port = parseInt(process.env.SMTP_PORT) || 587;
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port,
+            secure: port === 465,
+            auth: process.env.SMTP_USER ? {
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS
+            } : undefined
+        });
+    }
+    return transporter;
+};
+
+const fileFallback = createFileLogChannel('email');
+
+module.exports = {
+    name: 'email',
+
+    async send(message) {
+        if (!process.env.SMTP_HOST) {
+            return fileFallback.send(message);
+        }
+
+        if (!message.to) {
+            throw new Error('No email recipient');
+        }
+
+        const info = await getTransporter().sendMail({
+            from: process.env.EMAIL_FROM,
+            to: message.to,
+            subject: message.subject,
+            text: message.text,
+            html: message.html,
+            attachments: message.attachments
+        });
+
+        return { id: info.messageId };
+    }
+};
@@ -0,0 +1,35 @@
+// File-backed notification channel
+// Used for channels without a real provider yet (SMS, push) and as the
+// local-development fallback for email. Each message is appended as one
+// JSON line to logs/<name>.log
+
+const fs = require('fs');
+const path = require('path');
+
+const LOG_DIR = process.env.NOTIFICATION_LOG_DIR || path.join(__dirname, '..', '..', 'logs');
+
+const createFileLogChannel = (name) => ({
+    name,
+
+    async send(message) {
+        if (!message.to) {
+            throw new Error(`No ${name} recipient`);
+        }
+
+        await fs.promises.mkdir(LOG_DIR, { recursive: true });
+
+        const entry = {
+            channel: name,
+            sent_at: new Date().toISOString(),
+            to: message.to,
+            subject: message.subject,
+            text: message.text,
+            metadata: message.metadata
+        };
+        await fs.promises.appendFile(path.join(LOG_DIR, `${name}.log`), JSON.stringify(entry) + '\n');
+
+        return { id: `${name}-${Date.now()}` };
+    }
+});
+
+module.exports = createFileLogChannel;
@@ -0,0 +1,12 @@
+// Notification channel registry
+// Every channel exposes { name, send(message) } where message carries
+// to, subject, text and optional html, attachments and metadata
+
+const email = require('./email');
+const createFileLogChannel = require('./file-log');
+
+module.exports = {
+    email,
+    sms: createFileLogChannel('sms'),
+    push: createFileLogChannel('push')
+};
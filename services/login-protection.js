@@ -0,0 +1,119 @@
+// Per-account brute-force protection
+// Failed password and 2FA attempts are counted on the user. Every
+// MAX_FAILED_ATTEMPTS consecutive failures lock the account, each lock twice
+// as long as the one before, and the user is emailed. A successful login or
+// an admin unlock resets the streak.
+
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+const Clinic = require('../models/Clinic');
+const Tenant = require('../models/Tenant');
+const User = require('../models/User');
+const channels = require('./channels');
+const { formatDateTime } = require('../utils/time-zone');
+
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const BASE_LOCK_MINUTES = 5;
+const MAX_LOCK_MINUTES = 24 * 60;
+
+let dummyHash = null;
+
+const lockMinutes = (lockoutCount) => Math.min(BASE_LOCK_MINUTES * 2 ** (lockoutCount - 1), MAX_LOCK_MINUTES);
+
+// The unlock time reads in the user's primary clinic's time zone, else the
+// tenant's, and the tenant's locale
+const notifyLocked = async (user) => {
+    const clinic = user.clinic_id && await Clinic.findById(user.clinic_id).select('settings.timezone');
+    // Defaults come from the Tenant settings schema
+    const tenant = (await Tenant.findById(user.tenant_id).select('settings')) || new Tenant();
+    const until = formatDateTime(
+        user.locked_until,
+        (clinic && clinic.settings && clinic.settings.timezone) || tenant.settings.timezone,
+        tenant.settings.locale
+    );
+
+    return channels.email.send({
+        to: user.email,
+        subject: 'Your account has been locked',
+        text: `Hello ${user.first_name}, your account was locked after ${MAX_FAILED_ATTEMPTS} failed sign-in attempts. ` +
+            `You can try again after ${until}.\n\n` +
+            'If this was not you, reset your password and let your administrator know.',
+        metadata: {
+            tenant_id: user.tenant_id,
+            user_id: user._id,
+            purpose: 'account_locked'
+        }
+    });
+};
+
+/**
+ * Compare against a throwaway hash so unknown tenants and users take as long
+ * to reject as a wrong password
+ */
+const rejectUnknownAccount = async (password) => {
+    if (!dummyHash) {
+        dummyHash = bcrypt.hash(crypto.randomBytes(16).toString('hex'), 12);
+    }
+    await bcrypt.compare(String(password), await dummyHash);
+    return false;
+};
+
+/**
+ * Count a failed attempt and lock the account when the threshold is hit.
+ * Returns the updated user.
+ */
+const recordFailure = async (user) => {
+    const updated = await User.findOneAndUpdate(
+        { _id: user._id },
+        { $inc: { failed_login_attempts: 1 } },
+        { new: true }
+    );
+    if (!updated || updated.failed_login_attempts < MAX_FAILED_ATTEMPTS) {
+        return updated;
+    }
+
+    // Only the request that crossed the threshold applies the lock
+    const lockoutCount = updated.lockout_count + 1;
+    const locked = await User.findOneAndUpdate(
+        { _id: user._id, failed_login_attempts: updated.failed_login_attempts },
+        {
+            $set: {
+                failed_login_attempts: 0,
+                lockout_count: lockoutCount,
+                locked_until: new Date(Date.now() + lockMinutes(lockoutCount) * 60 * 1000)
+            }
+        },
+        { new: true }
+    );
+
+    if (locked) {
+        notifyLocked(locked).catch(error => console.error('Account locked email error:', error));
+        return locked;
+    }
+    return User.findById(user._id);
+};
+
+/**
+ * Clear the failure streak; the caller saves the user
+ */
+const clearFailures = (user) => {
+    user.failed_login_attempts = 0;
+    user.lockout_count = 0;
+    user.locked_until = null;
+    return user;
+};
+
+/**
+ * Lift a lock early (admin action)
+ */
+const unlock = (user) => clearFailures(user).save();
+
+module.exports = {
+    MAX_FAILED_ATTEMPTS,
+    lockMinutes,
+    rejectUnknownAccount,
+    recordFailure,
+    clearFailures,
+    unlock
+};
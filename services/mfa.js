@@ -0,0 +1,193 @@
+// TOTP two-factor authentication
+// Login with a password alone only yields a short-lived MFA challenge token;
+// the session is issued once a TOTP or recovery code is checked against it.
+// Tenants can require 2FA for staff through settings.security.require_mfa,
+// in which case staff without 2FA get an enrolment challenge instead.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const Tenant = require('../models/Tenant');
+const User = require('../models/User');
+const totp = require('../utils/totp');
+const { httpError } = require('../utils/http-error');
+
+const STAFF_ROLES = ['admin', 'doctor', 'staff'];
+const CHALLENGE_EXPIRES_IN = '5m';
+const RECOVERY_CODE_COUNT = 10;
+const MFA_FIELDS = '+mfa.secret +mfa.pending_secret +mfa.recovery_codes +mfa.last_used_step';
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+    .update(String(code).toUpperCase().replace(/[^A-Z0-9]/g, ''))
+    .digest('hex');
+
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = totp.base32Encode(crypto.randomBytes(7)).slice(0, 10);
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+/**
+ * Load a user together with the MFA fields that are hidden by default
+ */
+const loadUser = (userId, tenantId) => User.findOne({
+    _id: userId,
+    tenant_id: tenantId,
+    is_active: true,
+    deleted_at: null
+}).select(MFA_FIELDS);
+
+/**
+ * Whether the user's tenant requires 2FA for their role
+ */
+const isRequired = async (user) => {
+    if (!STAFF_ROLES.includes(user.role)) return false;
+    const tenant = await Tenant.findById(user.tenant_id);
+    return !!tenant && tenant.settings.security.require_mfa === true;
+};
+
+/**
+ * Short-lived token for the second login step. purpose is 'login' when the
+ * user has 2FA, or 'setup' when they must enrol before getting a session.
+ */
+const createChallenge = (user, purpose) => jwt.sign({
+    mfa: {
+        user_id: user._id,
+        tenant_id: user.tenant_id,
+        purpose,
+        token_version: user.token_version
+    }
+}, process.env.JWT_SECRET, { expiresIn: CHALLENGE_EXPIRES_IN });
+
+const verifyChallenge = async (token, purpose) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+    } catch (error) {
+        throw httpError(401, 'Invalid or expired MFA token');
+    }
+
+    const challenge = decoded.mfa;
+    const user = challenge && challenge.purpose === purpose &&
+        await loadUser(challenge.user_id, challenge.tenant_id);
+    if (!user || user.token_version !== challenge.token_version) {
+        throw httpError(401, 'Invalid or expired MFA token');
+    }
+    return user;
+};
+
+/**
+ * Start enrolment: store a pending secret and return it with the otpauth://
+ * URI for the authenticator app's QR code
+ */
+const beginEnrolment = async (user) => {
+    if (user.mfa && user.mfa.enabled) {
+        throw httpError(400, 'Two-factor authentication is already enabled');
+    }
+
+    const tenant = await Tenant.findById(user.tenant_id);
+    const secret = totp.generateSecret();
+
+    user.set('mfa.pending_secret', totp.encryptSecret(secret));
+    await user.save();
+
+    return {
+        secret,
+        otpauth_url: totp.provisioningUri({
+            secret,
+            accountName: user.email,
+            issuer: tenant ? tenant.name : 'Clinic Management'
+        })
+    };
+};
+
+/**
+ * Finish enrolment with a code from the app. Returns the recovery codes,
+ * which are only ever shown this once.
+ */
+const confirmEnrolment = async (user, code) => {
+    if (!user.mfa || !user.mfa.pending_secret) {
+        throw httpError(400, 'Start two-factor setup first');
+    }
+
+    const step = totp.verifyCode(totp.decryptSecret(user.mfa.pending_secret), code);
+    if (step === null) {
+        throw httpError(400, 'Invalid verification code');
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.set('mfa', {
+        enabled: true,
+        secret: user.mfa.pending_secret,
+        pending_secret: undefined,
+        recovery_codes: recoveryCodes.map(hashRecoveryCode),
+        last_used_step: step,
+        enabled_at: new Date()
+    });
+    await user.save();
+
+    return recoveryCodes;
+};
+
+/**
+ * Check a TOTP code or a recovery code. Both are single use: the accepted
+ * time step is recorded and recovery codes are removed, atomically so two
+ * concurrent logins can't share a code.
+ */
+const verify = async (user, { code, recovery_code: recoveryCode }) => {
+    if (!user.mfa || !user.mfa.enabled) return false;
+
+    if (code) {
+        const lastStep = user.mfa.last_used_step === undefined ? -1 : user.mfa.last_used_step;
+        const step = totp.verifyCode(totp.decryptSecret(user.mfa.secret), code, { afterStep: lastStep });
+        if (step === null) return false;
+
+        const result = await User.updateOne(
+            { _id: user._id, 'mfa.last_used_step': user.mfa.last_used_step },
+            { $set: { 'mfa.last_used_step': step } }
+        );
+        return result.modifiedCount === 1;
+    }
+
+    if (recoveryCode) {
+        const hash = hashRecoveryCode(recoveryCode);
+        const result = await User.updateOne(
+            { _id: user._id, 'mfa.recovery_codes': hash },
+            { $pull: { 'mfa.recovery_codes': hash } }
+        );
+        return result.modifiedCount === 1;
+    }
+
+    return false;
+};
+
+/**
+ * Replace all recovery codes, returning the new plain codes
+ */
+const regenerateRecoveryCodes = async (user) => {
+    const recoveryCodes = generateRecoveryCodes();
+    user.set('mfa.recovery_codes', recoveryCodes.map(hashRecoveryCode));
+    await user.save();
+    return recoveryCodes;
+};
+
+/**
+ * Remove 2FA from an account, e.g. when an admin resets a lost device
+ */
+const disable = (user) => {
+    user.set('mfa', { enabled: false });
+    return user.save();
+};
+
+module.exports = {
+    STAFF_ROLES,
+    RECOVERY_CODE_COUNT,
+    loadUser,
+    isRequired,
+    createChallenge,
+    verifyChallenge,
+    beginEnrolment,
+    confirmEnrolment,
+    verify,
+    regenerateRecoveryCodes,
+    disable
+};
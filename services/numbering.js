@@ -0,0 +1,114 @@
+// Sequential document numbers
+// Every tenant has an atomic counter per document type, split by year and/or
+// clinic when its format asks for it. Formats are read from
+// tenant.settings.numbering[type] and fall back to the historical defaults,
+// e.g. { prefix: 'INV', template: '{prefix}-{seq}', padding: 6, reset: 'never' }
+// Template tokens: {prefix}, {tenant} (slug), {clinic} (clinic code), {year}, {seq}
+
+const mongoose = require('mongoose');
+
+const Counter = require('../models/Counter');
+const Tenant = require('../models/Tenant');
+const Clinic = require('../models/Clinic');
+const Patient = require('../models/Patient');
+const Appointment = require('../models/Appointment');
+const MedicalRecord = require('../models/MedicalRecord');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const { getZonedParts } = require('../utils/time-zone');
+
+const DEFAULT_FORMATS = {
+    patient: { prefix: 'PT', template: '{prefix}-{tenant}-{seq}', padding: 4, reset: 'never' },
+    appointment: { prefix: 'APT', template: '{prefix}-{seq}', padding: 6, reset: 'never' },
+    medical_record: { prefix: 'MR', template: '{prefix}-{seq}', padding: 6, reset: 'never' },
+    invoice: { prefix: 'INV', template: '{prefix}-{seq}', padding: 6, reset: 'never' },
+    payment: { prefix: 'PAY', template: '{prefix}-{seq}', padding: 6, reset: 'never' }
+};
+
+const RESET_PERIODS = ['never', 'yearly'];
+const DEFAULT_CLINIC_CODE = 'GEN';
+
+// Documents numbered before counters existed; a new unscoped counter starts after them
+const LEGACY_NUMBERS = {
+    patient: { model: Patient, field: 'patient_id' },
+    appointment: { model: Appointment, field: 'appointment_number' },
+    medical_record: { model: MedicalRecord, field: 'record_number' },
+    invoice: { model: Invoice, field: 'invoice_number' },
+    payment: { model: Payment, field: 'payment_number' }
+};
+
+// Settings only hold the keys a tenant overrode; the rest come from the defaults
+const getFormat = (tenant, type) => {
+    const format = { ...DEFAULT_FORMATS[type] };
+    Object.keys(format).forEach(key => {
+        const value = tenant.get(`settings.numbering.${type}.${key}`);
+        if (value !== undefined && value !== null) {
+            format[key] = value;
+        }
+    });
+    return format;
+};
+
+// A format that resets yearly must show the year, or numbers repeat every January
+const isValidFormat = (format) => format.reset !== 'yearly' || format.template.includes('{year}');
+
+// Highest sequence among a tenant's existing numbers, read from their
+// trailing digits; documents may have been deleted, so counting them is not enough
+const getLegacySequence = async (tenantId, type) => {
+    const { model, field } = LEGACY_NUMBERS[type];
+    const [result] = await model.aggregate([
+        { $match: { tenant_id: new mongoose.Types.ObjectId(String(tenantId)) } },
+        { $project: { match: { $regexFind: { input: `$${field}`, regex: /(\d+)$/ } } } },
+        { $group: { _id: null, seq: { $max: { $toLong: { $arrayElemAt: ['$match.captures', 0] } } } } }
+    ]);
+    return result && result.seq ? Number(result.seq) : 0;
+};
+
+const render = (format, values) => format.template.replace(/\{(\w+)\}/g, (match, token) => {
+    if (token === 'seq') return String(values.seq).padStart(format.padding, '0');
+    if (token === 'prefix') return format.prefix;
+    return values[token] !== undefined ? values[token] : match;
+});
+
+/**
+ * Take the next number for a document type, e.g. next(tenantId, 'invoice', { clinicId })
+ */
+const next = async (tenantId, type, { clinicId = null, date = new Date() } = {}) => {
+    if (!DEFAULT_FORMATS[type]) {
+        throw new Error(`Unknown numbered document type: ${type}`);
+    }
+
+    const tenant = await Tenant.findById(tenantId);
+    if (!tenant) return null;
+
+    const format = getFormat(tenant, type);
+    const usesClinic = format.template.includes('{clinic}');
+    const clinic = usesClinic && clinicId
+        ? await Clinic.findOne({ _id: clinicId, tenant_id: tenantId })
+        : null;
+
+    const values = {
+        tenant: tenant.slug.toUpperCase(),
+        clinic: (clinic && clinic.code) || DEFAULT_CLINIC_CODE,
+        year: getZonedParts(date, (clinic && clinic.settings.timezone) || tenant.settings.timezone).year
+    };
+
+    const scope = [
+        format.reset === 'yearly' ? values.year : null,
+        usesClinic ? values.clinic : null
+    ].filter(Boolean).join(':');
+
+    values.seq = await Counter.increment(tenantId, type, scope, scope
+        ? null
+        : () => getLegacySequence(tenantId, type));
+
+    return render(format, values);
+};
+
+module.exports = {
+    DEFAULT_FORMATS,
+    RESET_PERIODS,
+    getFormat,
+    isValidFormat,
+    next
+};
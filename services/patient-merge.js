@@ -0,0 +1,154 @@
+// Merging duplicate patient records
+// Every document that references the duplicate is moved to the survivor and
+// the duplicate is soft-deleted. The moved ids and a snapshot of the duplicate
+// are kept in a PatientMerge audit so the merge can be undone. Both run in a
+// transaction, which needs MongoDB running as a replica set.
+
+const Patient = require('../models/Patient');
+const PatientMerge = require('../models/PatientMerge');
+const Appointment = require('../models/Appointment');
+const AppointmentSeries = require('../models/AppointmentSeries');
+const MedicalRecord = require('../models/MedicalRecord');
+const Prescription = require('../models/Prescription');
+const LabTest = require('../models/LabTest');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const QueueToken = require('../models/QueueToken');
+const { httpError } = require('../utils/http-error');
+const { withTransaction } = require('../utils/transaction');
+
+// Collections whose patient_id is re-pointed, keyed as stored in the audit
+const MERGED_MODELS = {
+    appointments: Appointment,
+    appointment_series: AppointmentSeries,
+    medical_records: MedicalRecord,
+    prescriptions: Prescription,
+    lab_tests: LabTest,
+    invoices: Invoice,
+    payments: Payment,
+    waitlist_entries: WaitlistEntry,
+    queue_tokens: QueueToken
+};
+
+/**
+ * Merge duplicateId into survivorId and return the audit record
+ */
+const mergePatients = async (tenantId, survivorId, duplicateId, userId) => {
+    if (survivorId.toString() === duplicateId.toString()) {
+        throw httpError(400, 'A patient cannot be merged into itself');
+    }
+
+    return withTransaction(async (session) => {
+        // One operation at a time: a transaction's session can't run them in parallel
+        const survivor = await Patient.findOne({ _id: survivorId, tenant_id: tenantId, deleted_at: null }).session(session);
+        const duplicate = await Patient.findOne({ _id: duplicateId, tenant_id: tenantId, deleted_at: null }).session(session);
+
+        if (!survivor || !duplicate) {
+            throw httpError(404, 'Patient not found');
+        }
+
+        // A portal user reaches records through the patient linked to them, so
+        // the duplicate's link moves to the survivor along with its records
+        if (survivor.user_id && duplicate.user_id && !survivor.user_id.equals(duplicate.user_id)) {
+            throw httpError(409, 'Both patients are linked to different user accounts');
+        }
+
+        const moved = {};
+        for (const [key, Model] of Object.entries(MERGED_MODELS)) {
+            const documents = await Model.find({ tenant_id: tenantId, patient_id: duplicate._id })
+                .select('_id')
+                .session(session);
+            moved[key] = documents.map(document => document._id);
+        }
+
+        const [merge] = await PatientMerge.create([{
+            tenant_id: tenantId,
+            survivor_id: survivor._id,
+            duplicate_id: duplicate._id,
+            duplicate_snapshot: duplicate.toObject(),
+            moved,
+            survivor_user_id: survivor.user_id || null,
+            merged_by: userId
+        }], { session });
+
+        for (const [key, Model] of Object.entries(MERGED_MODELS)) {
+            if (moved[key].length > 0) {
+                await Model.updateMany(
+                    { _id: { $in: moved[key] } },
+                    { $set: { patient_id: survivor._id } },
+                    { session }
+                );
+            }
+        }
+
+        // Loaded in the session, so these saves join the transaction
+        if (!survivor.user_id && duplicate.user_id) {
+            survivor.user_id = duplicate.user_id;
+            await survivor.save();
+        }
+
+        duplicate.merged_into = survivor._id;
+        await duplicate.softDelete();
+
+        return merge;
+    });
+};
+
+/**
+ * Reverse a merge: move the documents back and restore the duplicate
+ */
+const undoMerge = (tenantId, mergeId, userId) => withTransaction(async (session) => {
+    const merge = await PatientMerge.findOne({ _id: mergeId, tenant_id: tenantId }).session(session);
+
+    if (!merge) {
+        throw httpError(404, 'Merge not found');
+    }
+
+    if (merge.status !== 'merged') {
+        throw httpError(409, 'This merge has already been undone');
+    }
+
+    for (const [key, Model] of Object.entries(MERGED_MODELS)) {
+        const ids = (merge.moved && merge.moved[key]) || [];
+        if (ids.length > 0) {
+            // Only documents still on the survivor; anything moved on since stays put
+            await Model.updateMany(
+                { _id: { $in: ids }, patient_id: merge.survivor_id },
+                { $set: { patient_id: merge.duplicate_id } },
+                { session }
+            );
+        }
+    }
+
+    // Hand the portal user link back if the merge gave it to the survivor
+    const linkedUserId = merge.duplicate_snapshot.user_id;
+    if (linkedUserId && !merge.survivor_user_id) {
+        await Patient.updateOne(
+            { _id: merge.survivor_id, tenant_id: tenantId, user_id: linkedUserId },
+            { $set: { user_id: null } },
+            { session }
+        );
+    }
+
+    const duplicate = await Patient.findOne({ _id: merge.duplicate_id, tenant_id: tenantId }).session(session);
+    if (duplicate) {
+        duplicate.merged_into = null;
+        await duplicate.restore();
+    } else {
+        await Patient.create([{ ...merge.duplicate_snapshot, merged_into: null, deleted_at: null }], { session });
+    }
+
+    merge.status = 'undone';
+    merge.undone_by = userId;
+    merge.undone_at = new Date();
+    await merge.save();
+
+    return merge;
+});
+
+module.exports = {
+    MERGED_MODELS,
+    mergePatients,
+    undoMerge
+};
@@ -0,0 +1,165 @@
+// Appointment reminder dispatcher
+// Polls for due reminders on upcoming appointments and sends each through
+// its channel adapter. Failed sends are retried with exponential backoff
+// until REMINDER_MAX_ATTEMPTS is reached, then marked as failed. Each
+// reminder is claimed atomically before sending, so several app instances
+// can poll at once without sending it twice.
+
+const Appointment = require('../models/Appointment');
+const Tenant = require('../models/Tenant');
+const channels = require('./channels');
+const { formatDateTime } = require('../utils/time-zone');
+
+const POLL_INTERVAL_MS = parseInt(process.env.REMINDER_POLL_INTERVAL_MS) || 60 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.REMINDER_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = parseInt(process.env.REMINDER_RETRY_BASE_MS) || 60 * 1000;
+const BATCH_SIZE = 100;
+// How long a claim holds before another instance may retry the reminder
+const CLAIM_LEASE_MS = 5 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+const getRecipient = (type, patient) => {
+    if (type === 'email') return patient.email;
+    if (type === 'sms') return patient.phone;
+    if (type === 'push') return patient.user_id && patient.user_id.toString();
+    return null;
+};
+
+// Times read in the clinic's time zone, else the tenant's, and the tenant's locale
+const buildMessage = (reminder, appointment, tenant) => {
+    const patient = appointment.patient_id;
+    const doctor = appointment.doctor_id;
+    const clinic = appointment.clinic_id;
+    const when = formatDateTime(
+        appointment.start_time,
+        (clinic && clinic.settings && clinic.settings.timezone) || tenant.settings.timezone,
+        tenant.settings.locale
+    );
+    const doctorName = doctor ? ` with Dr. ${doctor.first_name} ${doctor.last_name}` : '';
+    const clinicName = clinic ? ` at ${clinic.name}` : '';
+
+    return {
+        to: getRecipient(reminder.type, patient),
+        subject: `Appointment reminder: ${appointment.title}`,
+        text: `Hello ${patient.first_name}, this is a reminder of your appointment${doctorName}${clinicName} on ${when}. ` +
+            `Reference: ${appointment.appointment_number}.`,
+        metadata: {
+            tenant_id: appointment.tenant_id,
+            appointment_id: appointment._id,
+            reminder_id: reminder._id
+        }
+    };
+};
+
+const getRetryAt = (attempts) => {
+    if (attempts + 1 >= MAX_ATTEMPTS) return null;
+    return new Date(Date.now() + RETRY_BASE_MS * Math.pow(2, attempts));
+};
+
+const isDue = (reminder, now) =>
+    !reminder.sent &&
+    !reminder.failed &&
+    reminder.scheduled_for <= now &&
+    (!reminder.next_attempt_at || reminder.next_attempt_at <= now) &&
+    (!reminder.claimed_until || reminder.claimed_until <= now);
+
+/**
+ * Send every reminder that is due now. Returns counts for logging.
+ */
+const dispatchDueReminders = async () => {
+    const now = new Date();
+    const appointments = await Appointment.find({
+        status: { $in: ['scheduled', 'confirmed'] },
+        start_time: { $gt: now },
+        deleted_at: null,
+        reminders: {
+            $elemMatch: {
+                sent: false,
+                failed: { $ne: true },
+                scheduled_for: { $lte: now },
+                $and: [
+                    { $or: [{ next_attempt_at: null }, { next_attempt_at: { $lte: now } }] },
+                    { $or: [{ claimed_until: null }, { claimed_until: { $lte: now } }] }
+                ]
+            }
+        }
+    })
+    .populate('patient_id', 'first_name last_name email phone user_id')
+    .populate('doctor_id', 'first_name last_name')
+    .populate('clinic_id', 'name settings.timezone')
+    .limit(BATCH_SIZE);
+
+    const result = { sent: 0, failed: 0 };
+
+    const tenantIds = [...new Set(appointments.map(appointment => appointment.tenant_id.toString()))];
+    const tenants = new Map((await Tenant.find({ _id: { $in: tenantIds } }).select('settings'))
+        .map(tenant => [tenant._id.toString(), tenant]));
+    // Defaults come from the Tenant settings schema
+    const getTenant = (appointment) => tenants.get(appointment.tenant_id.toString()) || new Tenant();
+
+    for (const appointment of appointments) {
+        for (const reminder of appointment.reminders.filter(item => isDue(item, now))) {
+            // The claimed copy is current; the populated one is only used for the message
+            const claimed = await Appointment.claimReminder(appointment._id, reminder._id, new Date(Date.now() + CLAIM_LEASE_MS));
+            if (!claimed) continue;
+
+            try {
+                const channel = channels[reminder.type];
+                if (!channel) {
+                    throw new Error(`Unknown reminder channel ${reminder.type}`);
+                }
+                if (!appointment.patient_id) {
+                    throw new Error('Appointment has no patient');
+                }
+
+                await channel.send(buildMessage(reminder, appointment, getTenant(appointment)));
+                await claimed.markReminderSent(reminder._id);
+                result.sent++;
+            } catch (error) {
+                console.error(`Reminder ${reminder._id} failed:`, error.message);
+                await claimed.markReminderFailed(reminder._id, error, getRetryAt(reminder.attempts));
+                result.failed++;
+            }
+        }
+    }
+
+    return result;
+};
+
+const tick = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+        const result = await dispatchDueReminders();
+        if (result.sent || result.failed) {
+            console.log(`📨 Reminders dispatched: ${result.sent} sent, ${result.failed} failed`);
+        }
+    } catch (error) {
+        console.error('Reminder dispatcher error:', error);
+    } finally {
+        running = false;
+    }
+};
+
+const start = () => {
+    if (timer) return;
+    timer = setInterval(tick, POLL_INTERVAL_MS);
+    timer.unref();
+    console.log(`⏰ Reminder dispatcher polling every ${POLL_INTERVAL_MS / 1000}s`);
+};
+
+const stop = () => {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+};
+
+module.exports = {
+    start,
+    stop,
+    dispatchDueReminders
+};
@@ -0,0 +1,157 @@
+// Staff accounts managed by tenant admins
+// Staff join by invitation: the account is created with an unusable password
+// and becomes usable once the emailed link is followed. Active staff,
+// including pending invitations, take up the tenant's max_users seats;
+// patient accounts don't count.
+
+const crypto = require('crypto');
+
+const Tenant = require('../models/Tenant');
+const Role = require('../models/Role');
+const Clinic = require('../models/Clinic');
+const User = require('../models/User');
+const accountEmails = require('./account-emails');
+const { STAFF_ROLES } = require('./mfa');
+const { httpError } = require('../utils/http-error');
+
+/**
+ * Whether every staff seat of the tenant's subscription is taken
+ */
+const isUserLimitReached = async (tenantId) => {
+    const [tenant, activeStaff] = await Promise.all([
+        Tenant.findById(tenantId),
+        User.countDocuments({
+            tenant_id: tenantId,
+            role: { $in: STAFF_ROLES },
+            is_active: true,
+            deleted_at: null
+        })
+    ]);
+    return !tenant || activeStaff >= tenant.max_users;
+};
+
+/**
+ * Active role of the tenant, or a 400 for an unknown id
+ */
+const findRole = async (tenantId, roleId) => {
+    const role = await Role.findOne({
+        _id: roleId,
+        tenant_id: tenantId,
+        is_active: true,
+        deleted_at: null
+    });
+    if (!role) {
+        throw httpError(400, 'Invalid role');
+    }
+    return role;
+};
+
+/**
+ * Work out clinic_ids and the primary clinic_id from a request body, keeping
+ * the user's current values for fields left out. An empty clinic_ids means
+ * every clinic, and the primary clinic must be one of the assigned ones.
+ * scopeIds are the clinics the acting admin is limited to (null for none):
+ * they can only assign, and only reassign users from, those clinics.
+ */
+const resolveClinics = async (tenantId, data, user, scopeIds = null) => {
+    const currentIds = user ? user.clinic_ids.map(String) : [];
+    const clinicIds = data.clinic_ids === undefined
+        ? currentIds
+        : [...new Set(data.clinic_ids.map(String))];
+
+    if (scopeIds) {
+        const withinScope = (ids) => ids.length > 0 && ids.every(id => scopeIds.some(scopeId => scopeId.equals(id)));
+        if (!withinScope(clinicIds) || (user && !withinScope(currentIds))) {
+            throw httpError(403, 'Not authorized to assign these clinics');
+        }
+    }
+
+    let primaryId = data.clinic_id === undefined ? user && user.clinic_id : data.clinic_id;
+    primaryId = primaryId ? String(primaryId) : null;
+    if (primaryId && clinicIds.length > 0 && !clinicIds.includes(primaryId)) {
+        if (data.clinic_id) {
+            throw httpError(400, 'Primary clinic must be one of the assigned clinics');
+        }
+        primaryId = clinicIds[0];
+    }
+
+    const lookupIds = [...new Set([...clinicIds, ...(primaryId ? [primaryId] : [])])];
+    const found = await Clinic.countDocuments({
+        _id: { $in: lookupIds },
+        tenant_id: tenantId,
+        deleted_at: null
+    });
+    if (found !== lookupIds.length) {
+        throw httpError(400, 'Invalid clinic');
+    }
+
+    return { clinic_ids: clinicIds, clinic_id: primaryId };
+};
+
+/**
+ * Create a staff account and email the invitation.
+ * data: { email, first_name, last_name, phone, role, role_id, clinic_ids, clinic_id }
+ * Returns { user, invitationSent }: the account stays when the email fails,
+ * and the invitation can be resent.
+ */
+const invite = async (tenantId, data, { invitedBy, scopeIds } = {}) => {
+    const email = data.email.toLowerCase();
+    const existing = await User.findOne({ tenant_id: tenantId, email });
+    if (existing) {
+        throw httpError(400, existing.deleted_at
+            ? 'A deleted user has this email, restore them instead'
+            : 'User already exists');
+    }
+
+    if (await isUserLimitReached(tenantId)) {
+        throw httpError(403, 'User limit reached for this subscription');
+    }
+
+    const role = data.role_id ? await findRole(tenantId, data.role_id) : null;
+    const clinics = await resolveClinics(tenantId, data, null, scopeIds);
+
+    const user = await User.create({
+        tenant_id: tenantId,
+        role: data.role,
+        role_id: role ? role._id : undefined,
+        ...clinics,
+        first_name: data.first_name,
+        last_name: data.last_name,
+        email,
+        phone: data.phone,
+        // Nobody knows this password; the invitation link replaces it
+        password_hash: crypto.randomBytes(32).toString('hex'), // Will be hashed by pre-save middleware
+        salt: 'temp', // Will be replaced by pre-save middleware
+        invited_by: invitedBy ? invitedBy._id : null,
+        invited_at: new Date()
+    });
+
+    try {
+        await accountEmails.sendInvitation(user, { invitedBy });
+        return { user, invitationSent: true };
+    } catch (error) {
+        console.error('Invitation email error:', error);
+        return { user, invitationSent: false };
+    }
+};
+
+/**
+ * Email a pending invitation again with a fresh link
+ */
+const resendInvitation = async (user, { invitedBy } = {}) => {
+    if (!user.isInvitationPending()) {
+        throw httpError(400, 'Invitation has already been accepted');
+    }
+    user.invited_at = new Date();
+    await user.save();
+    return accountEmails.sendInvitation(user, { invitedBy });
+};
+
+module.exports = {
+    STAFF_ROLES,
+    isUserLimitReached,
+    findRole,
+    resolveClinics,
+    invite,
+    resendInvitation
+};
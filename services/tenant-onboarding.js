@@ -0,0 +1,135 @@
+// Self-service tenant signup
+// The tenant, its default roles, first clinic and admin user are created in
+// one transaction, so a failure at any step leaves nothing behind. The new
+// tenant starts on a trial of the chosen plan.
+
+const Tenant = require('../models/Tenant');
+const Role = require('../models/Role');
+const Clinic = require('../models/Clinic');
+const User = require('../models/User');
+const channels = require('./channels');
+const { httpError } = require('../utils/http-error');
+const { withTransaction } = require('../utils/transaction');
+
+const TRIAL_DAYS = parseInt(process.env.TRIAL_DAYS) || 14;
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{1,48}[a-z0-9])$/;
+
+// Slugs that would clash with routes, subdomains or look official
+const RESERVED_SLUGS = [
+    'admin', 'api', 'app', 'assets', 'auth', 'billing', 'blog', 'cdn', 'dashboard',
+    'docs', 'help', 'login', 'logout', 'mail', 'register', 'root', 'settings',
+    'signup', 'static', 'status', 'support', 'system', 'tenants', 'www'
+];
+
+const normalizeSlug = (slug) => String(slug || '').trim().toLowerCase();
+
+/**
+ * Why a slug can't be used, or null when it is free. Deleted tenants keep
+ * their slug reserved.
+ */
+const checkSlug = async (slug) => {
+    const value = normalizeSlug(slug);
+    if (!SLUG_PATTERN.test(value) || value.includes('--')) {
+        return 'Slug must be 3-50 lowercase letters, numbers or single hyphens';
+    }
+    if (RESERVED_SLUGS.includes(value)) {
+        return 'This slug is reserved';
+    }
+    if (await Tenant.exists({ slug: value })) {
+        return 'This slug is already taken';
+    }
+    return null;
+};
+
+const sendWelcome = ({ tenant, clinic, user }) => channels.email.send({
+    to: user.email,
+    subject: `Welcome to your ${tenant.name} workspace`,
+    text: `Hello ${user.first_name}, your workspace for ${tenant.name} is ready, ` +
+        `with ${clinic.name} set up as your first clinic.\n\n` +
+        `Sign in at ${APP_URL}/login with your email and the workspace name "${tenant.slug}".\n\n` +
+        `Your ${tenant.subscription_plan} trial runs until ${tenant.trial_ends_at.toDateString()}.`,
+    metadata: {
+        tenant_id: tenant._id,
+        user_id: user._id,
+        purpose: 'tenant_welcome'
+    }
+});
+
+/**
+ * Create a tenant with its roles, first clinic and admin user.
+ * data: { tenant: { name, slug, email, ... }, clinic: { name, ... },
+ * admin: { first_name, last_name, email, password }, plan }
+ */
+const provisionTenant = async (data) => {
+    const slugError = await checkSlug(data.tenant.slug);
+    if (slugError) {
+        throw httpError(400, slugError);
+    }
+    if (await Tenant.exists({ email: data.tenant.email.toLowerCase() })) {
+        throw httpError(400, 'A workspace with this email already exists');
+    }
+
+    try {
+        return await withTransaction(async (session) => {
+            const [tenant] = await Tenant.create([{
+                name: data.tenant.name,
+                slug: normalizeSlug(data.tenant.slug),
+                email: data.tenant.email,
+                phone: data.tenant.phone,
+                country: data.tenant.country,
+                settings: {
+                    timezone: data.tenant.timezone,
+                    currency: data.tenant.currency,
+                    locale: data.tenant.locale
+                },
+                subscription_plan: data.plan || 'basic',
+                subscription_status: 'trial',
+                trial_ends_at: new Date(Date.now() + TRIAL_DAYS * 24 * 60 * 60 * 1000)
+            }], { session });
+
+            const roles = await Role.createDefaultRoles(tenant._id, { session });
+            const adminRole = roles.find(role => role.name === 'Super Admin');
+
+            const [clinic] = await Clinic.create([{
+                tenant_id: tenant._id,
+                name: data.clinic.name,
+                code: data.clinic.code,
+                contact: {
+                    phone: data.clinic.phone,
+                    email: data.clinic.email
+                },
+                settings: tenant.getClinicDefaults()
+            }], { session });
+
+            const [user] = await User.create([{
+                tenant_id: tenant._id,
+                role_id: adminRole._id,
+                clinic_id: clinic._id,
+                first_name: data.admin.first_name,
+                last_name: data.admin.last_name,
+                email: data.admin.email,
+                password_hash: data.admin.password, // Will be hashed by pre-save middleware
+                salt: 'temp', // Will be replaced by pre-save middleware
+                role: 'admin'
+            }], { session });
+
+            return { tenant, clinic, user };
+        });
+    } catch (error) {
+        // Lost a race for the slug or email with a concurrent signup
+        if (error.code === 11000) {
+            throw httpError(400, 'This slug or email is already taken');
+        }
+        throw error;
+    }
+};
+
+module.exports = {
+    TRIAL_DAYS,
+    RESERVED_SLUGS,
+    checkSlug,
+    provisionTenant,
+    sendWelcome
+};
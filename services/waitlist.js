@@ -0,0 +1,280 @@
+// Waitlist offers for freed appointment slots
+// When an appointment is cancelled the slot is offered to the best matching
+// waiting entry and held for the tenant's hold time. Offers that expire or
+// are declined move on to the next candidate.
+
+const Appointment = require('../models/Appointment');
+const Clinic = require('../models/Clinic');
+const Tenant = require('../models/Tenant');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const channels = require('./channels');
+const { appointmentHelpers } = require('../utils/database-helpers');
+const { formatDateTime } = require('../utils/time-zone');
+
+const DEFAULT_HOLD_MINUTES = 30;
+// Candidates tried per slot when others are claimed by a concurrent offer
+const CANDIDATE_BATCH = 10;
+// An accept still 'booking' after this long was interrupted
+const STALE_BOOKING_MS = 10 * 60 * 1000;
+const SWEEP_INTERVAL_MS = parseInt(process.env.WAITLIST_SWEEP_INTERVAL_MS) || 60 * 1000;
+
+let timer = null;
+
+const getHoldMinutes = async (tenantId) => {
+    const tenant = await Tenant.findById(tenantId);
+    return (tenant && tenant.settings.waitlist.hold_minutes) || DEFAULT_HOLD_MINUTES;
+};
+
+const notifyOffer = async (entry) => {
+    await entry.populate('patient_id', 'first_name email');
+    const patient = entry.patient_id;
+    if (!patient || !patient.email) return;
+
+    try {
+        // Times read in the clinic's time zone, else the tenant's, and the tenant's locale
+        const clinic = await Clinic.findById(entry.offer.clinic_id).select('settings.timezone');
+        // Defaults come from the Tenant settings schema
+        const tenant = (await Tenant.findById(entry.tenant_id).select('settings')) || new Tenant();
+        const timeZone = (clinic && clinic.settings && clinic.settings.timezone) || tenant.settings.timezone;
+        const format = (date) => formatDateTime(date, timeZone, tenant.settings.locale);
+
+        await channels.email.send({
+            to: patient.email,
+            subject: 'An earlier appointment is available',
+            text: `Hello ${patient.first_name}, a slot on ${format(entry.offer.start_time)} has opened up. ` +
+                `It is held for you until ${format(entry.offer.expires_at)}. ` +
+                `Reply through the patient portal to accept it.`,
+            metadata: {
+                tenant_id: entry.tenant_id,
+                waitlist_entry_id: entry._id
+            }
+        });
+    } catch (error) {
+        console.error(`Waitlist offer notification ${entry._id} failed:`, error.message);
+    }
+};
+
+/**
+ * Offer a slot to the best waiting candidate
+ * Returns the entry that received the offer, or null when nobody matches
+ */
+const offerSlot = async (tenantId, slot) => {
+    if (slot.start_time <= new Date()) return null;
+
+    const conflicts = await Appointment.findConflicts(
+        tenantId, slot.doctor_id, slot.start_time, slot.end_time, null, slot.resource_ids
+    );
+    if (conflicts.length > 0) return null;
+
+    const candidates = await WaitlistEntry.findCandidates(tenantId, slot)
+        .select('_id')
+        .limit(CANDIDATE_BATCH);
+    if (candidates.length === 0) return null;
+
+    const holdMinutes = await getHoldMinutes(tenantId);
+    for (const candidate of candidates) {
+        // Another cancellation may have offered this entry a slot meanwhile
+        const entry = await WaitlistEntry.offerTo(candidate._id, slot, holdMinutes);
+        if (entry) {
+            await notifyOffer(entry);
+            return entry;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Offer the slot freed by a cancelled appointment
+ */
+const offerFreedSlot = async (appointment) => {
+    return offerSlot(appointment.tenant_id, {
+        source_appointment_id: appointment._id,
+        clinic_id: appointment.clinic_id,
+        doctor_id: appointment.doctor_id,
+        service_id: appointment.service_id,
+        resource_ids: appointment.resource_ids,
+        patient_id: appointment.patient_id,
+        title: appointment.title,
+        start_time: appointment.start_time,
+        end_time: appointment.end_time
+    });
+};
+
+/**
+ * Offer each freed slot in turn. Meant to run in the background after a
+ * cancellation, so failures are logged rather than thrown.
+ */
+const offerFreedSlots = async (appointments) => {
+    for (const appointment of appointments) {
+        try {
+            await offerFreedSlot(appointment);
+        } catch (error) {
+            console.error(`Waitlist offer for appointment ${appointment._id} failed:`, error);
+        }
+    }
+};
+
+const slotFromOffer = (entry) => ({
+    source_appointment_id: entry.offer.source_appointment_id,
+    clinic_id: entry.offer.clinic_id,
+    doctor_id: entry.offer.doctor_id,
+    service_id: entry.offer.service_id,
+    resource_ids: entry.offer.resource_ids,
+    patient_id: entry.offer.source_patient_id,
+    title: entry.offer.title,
+    start_time: entry.offer.start_time,
+    end_time: entry.offer.end_time
+});
+
+/**
+ * Book the held slot for an entry. The offer is claimed first, so concurrent
+ * accepts can't both book it. Throws with a status when the offer can no
+ * longer be honoured.
+ */
+const acceptOffer = async (offered, userId) => {
+    const entry = await WaitlistEntry.claimOffer(offered._id);
+    if (!entry) {
+        const error = new Error('There is no open offer for this waitlist entry');
+        error.status = 409;
+        throw error;
+    }
+
+    if (entry.offer.expires_at < new Date()) {
+        const slot = slotFromOffer(entry);
+        await entry.releaseOffer();
+        await offerSlot(entry.tenant_id, slot);
+
+        const error = new Error('The offer has expired');
+        error.status = 410;
+        throw error;
+    }
+
+    const conflicts = await Appointment.findConflicts(
+        entry.tenant_id, entry.offer.doctor_id, entry.offer.start_time, entry.offer.end_time, null, entry.offer.resource_ids
+    );
+    if (conflicts.length > 0) {
+        await entry.releaseOffer();
+
+        const error = new Error('The offered slot is no longer available');
+        error.status = 409;
+        throw error;
+    }
+
+    const appointment = new Appointment({
+        tenant_id: entry.tenant_id,
+        clinic_id: entry.offer.clinic_id,
+        patient_id: entry.patient_id,
+        doctor_id: entry.offer.doctor_id,
+        service_id: entry.offer.service_id || entry.service_id,
+        resource_ids: entry.offer.resource_ids,
+        appointment_number: await appointmentHelpers.generateAppointmentNumber(entry.tenant_id, entry.offer.clinic_id),
+        title: entry.offer.title || 'Waitlist booking',
+        start_time: entry.offer.start_time,
+        end_time: entry.offer.end_time,
+        duration_minutes: Math.round((entry.offer.end_time - entry.offer.start_time) / (1000 * 60)),
+        notes: entry.notes,
+        created_by: userId
+    });
+
+    try {
+        const reminderSettings = await appointmentHelpers.getReminderSettings(entry.tenant_id);
+        appointment.scheduleReminders(reminderSettings.offsets_minutes, reminderSettings.channels);
+        await appointment.save();
+    } catch (error) {
+        // Reopen the offer so the patient can try again while it is held
+        entry.status = 'offered';
+        await entry.save();
+        throw error;
+    }
+
+    await entry.markBooked(appointment._id);
+    return appointment;
+};
+
+/**
+ * Decline an offer and pass the slot on to the next candidate
+ */
+const declineOffer = async (entry) => {
+    if (entry.status !== 'offered') return null;
+
+    const slot = slotFromOffer(entry);
+    await entry.releaseOffer();
+    return offerSlot(entry.tenant_id, slot);
+};
+
+/**
+ * Settle entries left in 'booking' by an accept that never finished: mark
+ * them booked when the appointment was created, otherwise re-offer the slot
+ */
+const releaseStaleBookings = async () => {
+    const stale = await WaitlistEntry.find({
+        status: 'booking',
+        updatedAt: { $lt: new Date(Date.now() - STALE_BOOKING_MS) },
+        deleted_at: null
+    }).limit(100);
+
+    for (const entry of stale) {
+        const appointment = await Appointment.findOne({
+            tenant_id: entry.tenant_id,
+            patient_id: entry.patient_id,
+            doctor_id: entry.offer.doctor_id,
+            start_time: entry.offer.start_time,
+            status: { $nin: ['cancelled', 'no_show'] },
+            deleted_at: null
+        }).select('_id');
+
+        if (appointment) {
+            await entry.markBooked(appointment._id);
+            continue;
+        }
+
+        const slot = slotFromOffer(entry);
+        await entry.releaseOffer();
+        await offerSlot(entry.tenant_id, slot);
+    }
+
+    return stale.length;
+};
+
+/**
+ * Release every expired offer and interrupted booking, and re-offer the slots
+ */
+const expireOffers = async () => {
+    const expired = await WaitlistEntry.find({
+        status: 'offered',
+        'offer.expires_at': { $lt: new Date() },
+        deleted_at: null
+    }).limit(100);
+
+    for (const entry of expired) {
+        await declineOffer(entry);
+    }
+
+    return expired.length + await releaseStaleBookings();
+};
+
+const start = () => {
+    if (timer) return;
+    timer = setInterval(() => {
+        expireOffers().catch(error => console.error('Waitlist sweep error:', error));
+    }, SWEEP_INTERVAL_MS);
+    timer.unref();
+};
+
+const stop = () => {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+};
+
+module.exports = {
+    offerFreedSlot,
+    offerFreedSlots,
+    acceptOffer,
+    declineOffer,
+    expireOffers,
+    start,
+    stop
+};
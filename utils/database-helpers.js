@@ -4,6 +4,7 @@ const mongoose = require('mongoose');
 // Import models
 const Tenant = require('../models/Tenant');
 const User = require('../models/User');
+const Clinic = require('../models/Clinic');
 const Patient = require('../models/Patient');
 const Appointment = require('../models/Appointment');
 const MedicalRecord = require('../models/MedicalRecord');
@@ -11,6 +12,19 @@ const Prescription = require('../models/Prescription');
 const LabTest = require('../models/LabTest');
 const Invoice = require('../models/Invoice');
 const Payment = require('../models/Payment');
+const DoctorAvailability = require('../models/DoctorAvailability');
+const Resource = require('../models/Resource');
+const QueueToken = require('../models/QueueToken');
+
+const numbering = require('../services/numbering');
+const search = require('./search');
+const { WEEKDAYS, getZonedDays, getZonedParts, parseClockTime, zonedTimeToUtc } = require('./time-zone');
+
+// Duplicate patient scoring: points per matching signal, out of 100
+const DUPLICATE_WEIGHTS = { name: 40, date_of_birth: 30, phone: 15, email: 15 };
+const DUPLICATE_MIN_SCORE = 50;
+// Leading letters of each name token two records must share to be compared
+const DUPLICATE_NAME_PREFIX = 3;
 
 /**
  * Tenant-related helpers
@@ -101,12 +115,60 @@ const userHelpers = {
     }
 };
 
+/**
+ * Similarity of two strings from 0 to 1, based on edit distance
+ */
+const stringSimilarity = (a, b) => {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return 1 - previous[b.length] / Math.max(a.length, b.length);
+};
+
+const normalizeName = (...parts) => parts.filter(Boolean).join(' ').toLowerCase().replace(/\s+/g, ' ').trim();
+const normalizePhone = (phone) => search.normalizePhone(phone).slice(-10);
+const sameDay = (a, b) => a && b && new Date(a).toISOString().slice(0, 10) === new Date(b).toISOString().slice(0, 10);
+
 /**
  * Patient-related helpers
  */
 const patientHelpers = {
+    /**
+     * Search patients, ranking an exact patient_id first, then exact phone,
+     * email or date of birth, then an exact full name, then prefix matches
+     */
     async searchPatients(tenantId, searchTerm) {
-        return await Patient.searchPatients(tenantId, searchTerm);
+        const term = search.normalizeTerm(searchTerm);
+        const patients = await Patient.searchPatients(tenantId, term);
+
+        const phone = normalizePhone(term);
+        const dateOfBirth = search.parseDateTerm(term);
+        const rank = (patient) => {
+            if (patient.patient_id === term.toUpperCase()) return 0;
+            if (patient.email === term.toLowerCase()) return 1;
+            if (phone.length >= 7 && normalizePhone(patient.phone) === phone) return 1;
+            if (dateOfBirth && sameDay(dateOfBirth.start, patient.date_of_birth)) return 1;
+            if (normalizeName(patient.first_name, patient.last_name) === term.toLowerCase()) return 2;
+            return 3;
+        };
+
+        return patients
+            .map(patient => ({ patient, rank: rank(patient) }))
+            .sort((a, b) => a.rank - b.rank || a.patient.last_name.localeCompare(b.patient.last_name))
+            .map(result => result.patient);
     },
     
     async getPatientSummary(tenantId, patientId) {
@@ -145,32 +207,128 @@ const patientHelpers = {
         };
     },
     
-    async generatePatientId(tenantId) {
-        const tenant = await Tenant.findById(tenantId);
-        if (!tenant) return null;
-        
-        const lastPatient = await Patient.findOne({ tenant_id: tenantId })
-            .sort({ patient_id: -1 });
-        
-        let nextNumber = 1;
-        if (lastPatient && lastPatient.patient_id) {
-            const parts = lastPatient.patient_id.split('-');
-            nextNumber = parseInt(parts[parts.length - 1]) + 1;
+    /**
+     * Likely duplicates of a patient (or of details about to be registered),
+     * scored on name similarity, date of birth, phone and email
+     */
+    async findDuplicates(tenantId, fields, { excludeId = null, minScore = DUPLICATE_MIN_SCORE, limit = 10 } = {}) {
+        // Candidates share a name-token prefix (so misspellings still come up),
+        // a phone key, the email or the date of birth; scoring does the rest
+        const keys = Patient.searchKeys(fields.first_name, fields.last_name, fields.phone);
+        const namePrefixes = keys.names
+            .filter(token => token.length >= 2)
+            .map(token => search.prefixRegex(token.slice(0, DUPLICATE_NAME_PREFIX)));
+
+        const clauses = [];
+        if (namePrefixes.length > 0) clauses.push({ 'search.names': { $in: namePrefixes } });
+        if (keys.phones.length > 0) clauses.push({ 'search.phones': { $in: keys.phones } });
+        if (fields.email) clauses.push({ email: fields.email.toLowerCase() });
+        if (fields.date_of_birth) {
+            const dayStart = new Date(new Date(fields.date_of_birth).toISOString().slice(0, 10));
+            clauses.push({ date_of_birth: { $gte: dayStart, $lt: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000) } });
+        }
+        if (clauses.length === 0) return [];
+
+        const query = { tenant_id: tenantId, deleted_at: null, $or: clauses };
+        if (excludeId) query._id = { $ne: excludeId };
+
+        const candidates = await Patient.find(query).limit(200);
+
+        const name = normalizeName(fields.first_name, fields.last_name);
+        const reversedName = normalizeName(fields.last_name, fields.first_name);
+
+        return candidates.map(candidate => {
+            const matched = [];
+            let score = 0;
+
+            const candidateName = normalizeName(candidate.first_name, candidate.last_name);
+            const nameScore = Math.max(stringSimilarity(name, candidateName), stringSimilarity(reversedName, candidateName));
+            if (nameScore >= 0.7) {
+                score += Math.round(nameScore * DUPLICATE_WEIGHTS.name);
+                matched.push('name');
+            }
+            if (sameDay(fields.date_of_birth, candidate.date_of_birth)) {
+                score += DUPLICATE_WEIGHTS.date_of_birth;
+                matched.push('date_of_birth');
+            }
+            const phone = normalizePhone(fields.phone);
+            if (phone.length >= 7 && phone === normalizePhone(candidate.phone)) {
+                score += DUPLICATE_WEIGHTS.phone;
+                matched.push('phone');
+            }
+            if (fields.email && candidate.email && fields.email.toLowerCase() === candidate.email) {
+                score += DUPLICATE_WEIGHTS.email;
+                matched.push('email');
+            }
+
+            return { patient: candidate, score, matched };
+        })
+        .filter(result => result.score >= minScore)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    },
+
+    async generatePatientId(tenantId, clinicId = null) {
+        return numbering.next(tenantId, 'patient', { clinicId });
+    }
+};
+
+/**
+ * Bookable windows for one clinic-local day, as UTC start/end pairs.
+ * A doctor with an availability record works their template or override
+ * hours; otherwise the clinic's working hours apply. timeZone is the
+ * clinic's, from clinic.resolveTimeZone().
+ */
+const getWorkingWindows = (clinic, availability, day, timeZone) => {
+    let intervals = [];
+    if (availability) {
+        intervals = availability.getIntervalsForDay(day, clinic._id);
+    } else {
+        const hours = clinic.settings.working_hours && clinic.settings.working_hours[day.weekday];
+        if (hours && !hours.closed) {
+            intervals = [{ start: hours.open, end: hours.close }];
         }
-        
-        return `PT-${tenant.slug.toUpperCase()}-${String(nextNumber).padStart(4, '0')}`;
     }
+
+    return intervals.map(interval => {
+        const open = parseClockTime(interval.start);
+        const close = parseClockTime(interval.end);
+        if (!open || !close) return null;
+
+        return {
+            start: zonedTimeToUtc(day.year, day.month, day.day, open.hour, open.minute, timeZone),
+            end: zonedTimeToUtc(day.year, day.month, day.day, close.hour, close.minute, timeZone)
+        };
+    }).filter(Boolean);
 };
 
 /**
  * Appointment-related helpers
  */
 const appointmentHelpers = {
-    async checkAppointmentConflicts(tenantId, doctorId, startTime, endTime, excludeId = null) {
-        return await Appointment.findConflicts(tenantId, doctorId, startTime, endTime, excludeId);
+    async checkAppointmentConflicts(tenantId, doctorId, startTime, endTime, excludeId = null, resourceIds = []) {
+        return await Appointment.findConflicts(tenantId, doctorId, startTime, endTime, excludeId, resourceIds);
+    },
+
+    // All resources must be active and belong to the appointment's clinic
+    async validateResources(tenantId, clinicId, resourceIds = []) {
+        if (!resourceIds || resourceIds.length === 0) return true;
+
+        const count = await Resource.countDocuments({
+            _id: { $in: resourceIds },
+            tenant_id: tenantId,
+            clinic_id: clinicId,
+            is_active: true,
+            deleted_at: null
+        });
+        return count === new Set(resourceIds.map(id => id.toString())).size;
     },
     
-    async getDoctorSchedule(tenantId, doctorId, date) {
+    /**
+     * A doctor's appointments on one day; scope narrows the query, e.g. to
+     * the caller's clinics
+     */
+    async getDoctorSchedule(tenantId, doctorId, date, scope = {}) {
         const startOfDay = new Date(date);
         startOfDay.setHours(0, 0, 0, 0);
         
@@ -181,23 +339,293 @@ const appointmentHelpers = {
             tenant_id: tenantId,
             doctor_id: doctorId,
             start_time: { $gte: startOfDay, $lte: endOfDay },
-            deleted_at: null
+            deleted_at: null,
+            ...scope
         })
         .populate('patient_id', 'first_name last_name')
         .sort({ start_time: 1 });
     },
     
-    async generateAppointmentNumber(tenantId) {
-        const lastAppointment = await Appointment.findOne({ tenant_id: tenantId })
-            .sort({ appointment_number: -1 });
-        
-        let nextNumber = 1;
-        if (lastAppointment && lastAppointment.appointment_number) {
-            const parts = lastAppointment.appointment_number.split('-');
-            nextNumber = parseInt(parts[parts.length - 1]) + 1;
+    /**
+     * Find open slots for a doctor by walking each clinic's working hours
+     * (or the doctor's own availability) in the clinic's time zone and
+     * removing blocked times and times when the doctor or any requested
+     * resource is already booked.
+     * Slot length comes from the service duration when serviceId is given,
+     * otherwise from the clinic's default appointment duration.
+     * Without clinicId every active clinic matching clinicFilter is searched.
+     */
+    async findAvailableSlots(tenantId, { doctorId, clinicId = null, clinicFilter = {}, serviceId = null, resourceIds = [], from, to }) {
+        const clinics = clinicId
+            ? await Clinic.find({ _id: clinicId, tenant_id: tenantId, is_active: true, deleted_at: null })
+            : await Clinic.findActive(tenantId).where(clinicFilter);
+
+        const availability = await DoctorAvailability.findByDoctor(tenantId, doctorId);
+        const owners = [{ doctor_id: doctorId }];
+        if (resourceIds.length > 0) {
+            owners.push({ resource_ids: { $in: resourceIds } });
         }
-        
-        return `APT-${String(nextNumber).padStart(6, '0')}`;
+
+        const booked = await Appointment.find({
+            tenant_id: tenantId,
+            $or: owners,
+            status: { $nin: ['cancelled', 'no_show'] },
+            deleted_at: null,
+            start_time: { $lt: to },
+            end_time: { $gt: from }
+        }).select('start_time end_time');
+
+        const now = new Date();
+        const slots = [];
+        const timeZones = await Promise.all(clinics.map(clinic => clinic.resolveTimeZone()));
+
+        clinics.forEach((clinic, index) => {
+            let duration = clinic.settings.appointment_duration || 30;
+            if (serviceId) {
+                const service = clinic.services.id(serviceId);
+                if (!service || !service.is_active) return;
+                duration = service.duration;
+            }
+
+            const timeZone = timeZones[index];
+            const durationMs = duration * 60 * 1000;
+
+            getZonedDays(from, to, timeZone).forEach(day => {
+                getWorkingWindows(clinic, availability, day, timeZone).forEach(window => {
+                    for (let start = window.start.getTime(); start + durationMs <= window.end.getTime(); start += durationMs) {
+                        const end = start + durationMs;
+                        if (start < from.getTime() || end > to.getTime() || start < now.getTime()) continue;
+
+                        const taken = booked.some(appointment =>
+                            appointment.start_time.getTime() < end && appointment.end_time.getTime() > start
+                        );
+                        if (taken) continue;
+                        if (availability && availability.findBlock(new Date(start), new Date(end))) continue;
+
+                        slots.push({
+                            clinic_id: clinic._id,
+                            clinic_name: clinic.name,
+                            timezone: timeZone,
+                            start_time: new Date(start),
+                            end_time: new Date(end),
+                            duration_minutes: duration
+                        });
+                    }
+                });
+            });
+        });
+
+        return slots.sort((a, b) => a.start_time - b.start_time);
+    },
+
+    /**
+     * Check a booking against the doctor's availability record
+     * Returns null when the doctor can be booked, otherwise the reason.
+     * Doctors without an availability record are not restricted.
+     */
+    async checkDoctorAvailability(tenantId, doctorId, clinicId, startTime, endTime) {
+        const availability = await DoctorAvailability.findByDoctor(tenantId, doctorId);
+        if (!availability) return null;
+
+        const block = availability.findBlock(startTime, endTime);
+        if (block) {
+            return `Doctor is unavailable (${block.reason || block.type})`;
+        }
+
+        const clinic = await Clinic.findOne({ _id: clinicId, tenant_id: tenantId, deleted_at: null });
+        if (!clinic) return 'Invalid clinic';
+
+        const timeZone = await clinic.resolveTimeZone();
+        const day = getZonedParts(startTime, timeZone);
+        const withinHours = getWorkingWindows(clinic, availability, day, timeZone)
+            .some(window => window.start <= startTime && window.end >= endTime);
+
+        return withinHours ? null : 'Outside the doctor\'s working hours';
+    },
+    
+    /**
+     * Check every occurrence of a series for doctor or resource conflicts and availability
+     * Returns one entry per clashing occurrence with the conflicting bookings
+     * and, when the doctor is unavailable, the reason
+     */
+    async findSeriesConflicts(tenantId, { doctorId, clinicId, resourceIds = [], occurrences, durationMinutes, excludeIds = [], ignoreAvailability = false }) {
+        const clashes = [];
+
+        for (const startTime of occurrences) {
+            const endTime = new Date(startTime.getTime() + durationMinutes * 60 * 1000);
+            const conflicts = (await Appointment.findConflicts(tenantId, doctorId, startTime, endTime, null, resourceIds))
+                .filter(conflict => !excludeIds.some(id => id.toString() === conflict._id.toString()));
+            const unavailable = ignoreAvailability
+                ? null
+                : await this.checkDoctorAvailability(tenantId, doctorId, clinicId, startTime, endTime);
+
+            if (conflicts.length > 0 || unavailable) {
+                clashes.push({ start_time: startTime, end_time: endTime, conflicts, unavailable });
+            }
+        }
+
+        return clashes;
+    },
+
+    /**
+     * Resolve which occurrences of an appointment's series an edit applies to
+     * scope is 'this', 'following' or 'all'; finished occurrences are left alone
+     */
+    async getSeriesOccurrences(tenantId, appointment, scope) {
+        let occurrences = [appointment];
+        if (scope !== 'this' && appointment.series_id) {
+            const fromTime = scope === 'following' ? appointment.start_time : null;
+            occurrences = await Appointment.findBySeries(tenantId, appointment.series_id, fromTime);
+        }
+
+        return occurrences.filter(occurrence => ['scheduled', 'confirmed'].includes(occurrence.status));
+    },
+    
+    async getReminderSettings(tenantId) {
+        // Defaults come from the Tenant settings schema
+        const tenant = (await Tenant.findById(tenantId)) || new Tenant();
+        const { reminders } = tenant.settings;
+
+        return {
+            offsets_minutes: [...reminders.offsets_minutes],
+            channels: [...reminders.channels]
+        };
+    },
+    
+    async generateAppointmentNumber(tenantId, clinicId = null) {
+        return numbering.next(tenantId, 'appointment', { clinicId });
+    }
+};
+
+/**
+ * Resource helpers
+ */
+const resourceHelpers = {
+    /**
+     * Booked time per resource for one clinic-local day ("YYYY-MM-DD"),
+     * with utilisation measured against the clinic's working hours
+     */
+    async getDailyUtilisation(tenantId, clinicId, date) {
+        const clinic = await Clinic.findOne({ _id: clinicId, tenant_id: tenantId, deleted_at: null });
+        if (!clinic) return null;
+
+        const timeZone = await clinic.resolveTimeZone();
+        const [year, month, day] = date.split('-').map(Number);
+        const weekday = WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+        const dayStart = zonedTimeToUtc(year, month, day, 0, 0, timeZone);
+        const dayEnd = zonedTimeToUtc(year, month, day + 1, 0, 0, timeZone);
+
+        const openMinutes = getWorkingWindows(clinic, null, { year, month, day, weekday }, timeZone)
+            .reduce((sum, window) => sum + (window.end - window.start) / (60 * 1000), 0);
+
+        const [resources, appointments] = await Promise.all([
+            Resource.findByClinic(tenantId, clinicId),
+            Appointment.find({
+                tenant_id: tenantId,
+                clinic_id: clinicId,
+                'resource_ids.0': { $exists: true },
+                status: { $nin: ['cancelled', 'no_show'] },
+                deleted_at: null,
+                start_time: { $lt: dayEnd },
+                end_time: { $gt: dayStart }
+            })
+            .select('appointment_number title start_time end_time status doctor_id resource_ids')
+            .sort({ start_time: 1 })
+        ]);
+
+        return {
+            clinic_id: clinic._id,
+            date,
+            timezone: timeZone,
+            open_minutes: openMinutes,
+            resources: resources.map(resource => {
+                const bookings = appointments.filter(appointment =>
+                    appointment.resource_ids.some(id => id.equals(resource._id))
+                );
+                const bookedMinutes = bookings.reduce((sum, appointment) =>
+                    sum + (Math.min(appointment.end_time, dayEnd) - Math.max(appointment.start_time, dayStart)) / (60 * 1000), 0);
+
+                return {
+                    resource_id: resource._id,
+                    name: resource.name,
+                    type: resource.type,
+                    category: resource.category,
+                    booked_minutes: bookedMinutes,
+                    utilisation_percent: openMinutes ? Math.round(bookedMinutes / openMinutes * 1000) / 10 : null,
+                    bookings: bookings.map(appointment => ({
+                        id: appointment._id,
+                        appointment_number: appointment.appointment_number,
+                        title: appointment.title,
+                        status: appointment.status,
+                        doctor_id: appointment.doctor_id,
+                        start_time: appointment.start_time,
+                        end_time: appointment.end_time
+                    }))
+                };
+            })
+        };
+    }
+};
+
+/**
+ * Walk-in queue helpers
+ */
+const queueHelpers = {
+    /**
+     * Clinic-local queue day ("YYYY-MM-DD") an instant falls on
+     */
+    async getQueueDate(clinic, date = new Date()) {
+        const day = getZonedParts(date, await clinic.resolveTimeZone());
+        return `${day.year}-${String(day.month).padStart(2, '0')}-${String(day.day).padStart(2, '0')}`;
+    },
+
+    /**
+     * Issue the next token in today's queue
+     */
+    async issueToken(clinic, fields) {
+        const queueDate = await this.getQueueDate(clinic);
+
+        const token = new QueueToken({
+            ...fields,
+            tenant_id: clinic.tenant_id,
+            clinic_id: clinic._id,
+            queue_date: queueDate,
+            token_number: await QueueToken.nextTokenNumber(clinic.tenant_id, clinic._id, queueDate)
+        });
+
+        return token.save();
+    },
+
+    /**
+     * Today's board for a lobby screen: tokens being served and those still
+     * waiting, with no patient details
+     */
+    async getDisplayBoard(clinic) {
+        const queueDate = await this.getQueueDate(clinic);
+        const tokens = await QueueToken.find({
+            tenant_id: clinic.tenant_id,
+            clinic_id: clinic._id,
+            queue_date: queueDate,
+            status: { $in: ['waiting', 'called', 'in_service'] }
+        })
+        .select('token_number status counter called_at')
+        .sort({ token_number: 1 });
+
+        return {
+            clinic: clinic.name,
+            queue_date: queueDate,
+            now_serving: tokens
+                .filter(token => token.status !== 'waiting')
+                .sort((a, b) => b.called_at - a.called_at)
+                .map(token => ({
+                    token_number: token.token_number,
+                    counter: token.counter,
+                    status: token.status
+                })),
+            waiting: tokens
+                .filter(token => token.status === 'waiting')
+                .map(token => token.token_number)
+        };
     }
 };
 
@@ -211,17 +639,8 @@ const medicalRecordHelpers = {
             .sort({ created_at: -1 });
     },
     
-    async generateRecordNumber(tenantId) {
-        const lastRecord = await MedicalRecord.findOne({ tenant_id: tenantId })
-            .sort({ record_number: -1 });
-        
-        let nextNumber = 1;
-        if (lastRecord && lastRecord.record_number) {
-            const parts = lastRecord.record_number.split('-');
-            nextNumber = parseInt(parts[parts.length - 1]) + 1;
-        }
-        
-        return `MR-${String(nextNumber).padStart(6, '0')}`;
+    async generateRecordNumber(tenantId, clinicId = null) {
+        return numbering.next(tenantId, 'medical_record', { clinicId });
     }
 };
 
@@ -248,30 +667,12 @@ const billingHelpers = {
         };
     },
     
-    async generateInvoiceNumber(tenantId) {
-        const lastInvoice = await Invoice.findOne({ tenant_id: tenantId })
-            .sort({ invoice_number: -1 });
-        
-        let nextNumber = 1;
-        if (lastInvoice && lastInvoice.invoice_number) {
-            const parts = lastInvoice.invoice_number.split('-');
-            nextNumber = parseInt(parts[parts.length - 1]) + 1;
-        }
-        
-        return `INV-${String(nextNumber).padStart(6, '0')}`;
+    async generateInvoiceNumber(tenantId, clinicId = null) {
+        return numbering.next(tenantId, 'invoice', { clinicId });
     },
     
-    async generatePaymentNumber(tenantId) {
-        const lastPayment = await Payment.findOne({ tenant_id: tenantId })
-            .sort({ payment_number: -1 });
-        
-        let nextNumber = 1;
-        if (lastPayment && lastPayment.payment_number) {
-            const parts = lastPayment.payment_number.split('-');
-            nextNumber = parseInt(parts[parts.length - 1]) + 1;
-        }
-        
-        return `PAY-${String(nextNumber).padStart(6, '0')}`;
+    async generatePaymentNumber(tenantId, clinicId = null) {
+        return numbering.next(tenantId, 'payment', { clinicId });
     }
 };
 
@@ -395,6 +796,8 @@ module.exports = {
     userHelpers,
     patientHelpers,
     appointmentHelpers,
+    resourceHelpers,
+    queueHelpers,
     medicalRecordHelpers,
     billingHelpers,
     analyticsHelpers,
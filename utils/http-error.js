@@ -0,0 +1,15 @@
+// Errors that carry the HTTP status a route should answer with. Routes check
+// error.status and reply with it and the message; anything else is a 500.
+
+/**
+ * Error with an HTTP status, e.g. throw httpError(404, 'Patient not found')
+ */
+const httpError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+module.exports = {
+    httpError
+};
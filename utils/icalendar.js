@@ -0,0 +1,109 @@
+// iCalendar (RFC 5545) builder for appointment feeds and email attachments
+
+const PRODUCT_ID = '-//Clinic Management SaaS//Appointments//EN';
+
+const STATUS_MAP = {
+    scheduled: 'TENTATIVE',
+    confirmed: 'CONFIRMED',
+    in_progress: 'CONFIRMED',
+    completed: 'CONFIRMED',
+    cancelled: 'CANCELLED',
+    no_show: 'CANCELLED'
+};
+
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (value) => String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+    const chunks = [];
+    let current = '';
+
+    for (const char of line) {
+        const limit = chunks.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char) > limit) {
+            chunks.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    chunks.push(current);
+
+    return chunks.join('\r\n ');
+};
+
+/**
+ * Build a VEVENT for an appointment
+ * patient_id and clinic_id may be populated; only the patient's reference
+ * code is included unless includePatientDetails is set
+ */
+const buildEvent = (appointment, { includePatientDetails = false } = {}) => {
+    const patient = appointment.patient_id;
+    const clinic = appointment.clinic_id;
+
+    let patientLine = '';
+    if (patient && patient.patient_id) {
+        patientLine = includePatientDetails && patient.first_name
+            ? `Patient: ${patient.first_name} ${patient.last_name} (${patient.patient_id})`
+            : `Patient ref: ${patient.patient_id}`;
+    }
+
+    const description = [
+        `Appointment: ${appointment.appointment_number}`,
+        `Status: ${appointment.status.replace('_', ' ')}`,
+        patientLine
+    ].filter(Boolean).join('\n');
+
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${appointment._id}@clinic-management`,
+        `DTSTAMP:${formatDate(appointment.updatedAt || new Date())}`,
+        `DTSTART:${formatDate(appointment.start_time)}`,
+        `DTEND:${formatDate(appointment.end_time)}`,
+        `SUMMARY:${escapeText(appointment.title)}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        `STATUS:${STATUS_MAP[appointment.status] || 'TENTATIVE'}`,
+        `SEQUENCE:${appointment.status_history ? appointment.status_history.length : 0}`
+    ];
+
+    if (clinic && clinic.name) {
+        lines.push(`LOCATION:${escapeText(clinic.name)}`);
+    }
+
+    lines.push('END:VEVENT');
+    return lines;
+};
+
+/**
+ * Build a complete VCALENDAR document
+ */
+const buildCalendar = (appointments, { name, includePatientDetails = false } = {}) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+
+    if (name) {
+        lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+    }
+
+    appointments.forEach(appointment => {
+        lines.push(...buildEvent(appointment, { includePatientDetails }));
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    buildEvent,
+    buildCalendar
+};
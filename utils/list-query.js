@@ -0,0 +1,206 @@
+// Shared query layer for list endpoints: filters, sort, projection and
+// offset or cursor pagination, driven by the request query string.
+//
+//   ?page=2&limit=50              offset pagination (default)
+//   ?cursor=<next_cursor>&limit=  keyset pagination from a previous page
+//   ?sort=-start_time             one sortable field, "-" for descending
+//   ?fields=first_name,last_name  projection
+//   ?status=scheduled,confirmed   equality or $in on whitelisted fields
+//   ?start_time_from=&start_time_to=  inclusive range on whitelisted dates
+
+const mongoose = require('mongoose');
+
+const { httpError } = require('./http-error');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const badRequest = (message) => httpError(400, message);
+
+// A repeated parameter (?sort=a&sort=b) arrives as an array
+const single = (query, name) => {
+    const value = query[name];
+    if (value !== undefined && typeof value !== 'string') {
+        throw badRequest(`${name} must be given once`);
+    }
+    return value;
+};
+
+const toList = (value) => [].concat(value)
+    .join(',')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+// Cast a query string value to the schema type of field
+const castValue = (Model, field, value) => {
+    const schemaType = field === '_id' ? { instance: 'ObjectId' } : Model.schema.path(field);
+
+    switch (schemaType && schemaType.instance) {
+        case 'ObjectId':
+            if (!mongoose.isValidObjectId(value)) throw badRequest(`Invalid ${field}`);
+            return value;
+        case 'Date': {
+            const date = new Date(value);
+            if (isNaN(date.getTime())) throw badRequest(`Invalid ${field} date`);
+            return date;
+        }
+        case 'Number': {
+            const number = Number(value);
+            if (isNaN(number)) throw badRequest(`Invalid ${field}`);
+            return number;
+        }
+        case 'Boolean':
+            return value === true || value === 'true';
+        default:
+            return value;
+    }
+};
+
+const encodeCursor = (document, sortField) =>
+    Buffer.from(JSON.stringify([document.get(sortField), document._id])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        if (!mongoose.isValidObjectId(id)) throw new Error('Invalid id');
+        return { value, id };
+    } catch (error) {
+        throw badRequest('Invalid cursor');
+    }
+};
+
+// Conditions for documents sorting strictly after value. MongoDB sorts null
+// and missing values before everything else, and $gt/$lt never match them,
+// so they need their own clause.
+const beyondValue = (field, direction, value) => {
+    if (value === null) {
+        return direction === 1 ? [{ [field]: { $ne: null } }] : [];
+    }
+    return direction === 1
+        ? [{ [field]: { $gt: value } }]
+        : [{ [field]: { $lt: value } }, { [field]: null }];
+};
+
+/**
+ * Run a list query for Model within baseFilter (tenant scoping, soft delete).
+ * options: filters, dateFilters, sortable, defaultSort, populate ([path, select]
+ * pairs) and hiddenFields that can never be projected.
+ * Returns { data, total, pagination }; invalid parameters throw with status 400.
+ */
+const find = async (Model, baseFilter, query, options = {}) => {
+    const {
+        filters = [],
+        dateFilters = [],
+        sortable = [],
+        defaultSort = '-createdAt',
+        populate = [],
+        hiddenFields = []
+    } = options;
+
+    const queryFilter = {};
+
+    filters.forEach(field => {
+        if (query[field] === undefined) return;
+        const values = toList(query[field]).map(value => castValue(Model, field, value));
+        queryFilter[field] = values.length === 1 ? values[0] : { $in: values };
+    });
+
+    dateFilters.forEach(field => {
+        const from = single(query, `${field}_from`);
+        const to = single(query, `${field}_to`);
+        if (from === undefined && to === undefined) return;
+
+        queryFilter[field] = {};
+        if (from !== undefined) queryFilter[field].$gte = castValue(Model, field, from);
+        if (to !== undefined) queryFilter[field].$lte = castValue(Model, field, to);
+    });
+
+    // Query filters narrow baseFilter; they must never replace its scoping,
+    // e.g. ?clinic_id= for a caller limited to other clinics
+    const filter = Object.keys(queryFilter).some(field => field in baseFilter)
+        ? { $and: [baseFilter, queryFilter] }
+        : { ...baseFilter, ...queryFilter };
+
+    const sortParam = single(query, 'sort') || defaultSort;
+    const sortField = sortParam.replace(/^-/, '');
+    const direction = sortParam.startsWith('-') ? -1 : 1;
+    if (query.sort && !sortable.includes(sortField)) {
+        throw badRequest(`Cannot sort by ${sortField}`);
+    }
+
+    const limitParam = single(query, 'limit');
+    const limit = limitParam === undefined ? DEFAULT_LIMIT : parseInt(limitParam);
+    if (!(limit >= 1 && limit <= MAX_LIMIT)) {
+        throw badRequest(`limit must be between 1 and ${MAX_LIMIT}`);
+    }
+
+    const isHidden = (field) => hiddenFields.some(hidden =>
+        hidden === field || hidden.startsWith(`${field}.`) || field.startsWith(`${hidden}.`)
+    );
+
+    let projection = hiddenFields.map(field => `-${field}`).join(' ');
+    if (query.fields) {
+        const fields = toList(query.fields);
+        const unknown = fields.find(field => isHidden(field) || Model.schema.pathType(field) === 'adhocOrUndefined');
+        if (unknown) {
+            throw badRequest(`Unknown field ${unknown}`);
+        }
+        projection = [...new Set([...fields, sortField])].join(' ');
+    }
+
+    // _id breaks ties so pages never overlap or skip documents
+    const sort = { [sortField]: direction, _id: 1 };
+    let pageFilter = filter;
+    let page = null;
+
+    const cursorParam = single(query, 'cursor');
+    const pageParam = single(query, 'page');
+
+    if (cursorParam !== undefined) {
+        const cursor = decodeCursor(cursorParam);
+        const value = cursor.value === null ? null : castValue(Model, sortField, cursor.value);
+
+        pageFilter = {
+            $and: [filter, {
+                $or: [
+                    ...beyondValue(sortField, direction, value),
+                    { [sortField]: value, _id: { $gt: cursor.id } }
+                ]
+            }]
+        };
+    } else {
+        page = pageParam === undefined ? 1 : parseInt(pageParam);
+        if (!(page >= 1)) {
+            throw badRequest('page must be a positive number');
+        }
+    }
+
+    let dbQuery = Model.find(pageFilter).select(projection).sort(sort).limit(limit);
+    if (page) {
+        dbQuery = dbQuery.skip((page - 1) * limit);
+    }
+    populate.forEach(([path, select]) => {
+        dbQuery = dbQuery.populate(path, select);
+    });
+
+    const [data, total] = await Promise.all([dbQuery, Model.countDocuments(filter)]);
+
+    const pagination = {
+        limit,
+        total,
+        next_cursor: data.length === limit ? encodeCursor(data[data.length - 1], sortField) : null
+    };
+    if (page) {
+        pagination.page = page;
+        pagination.pages = Math.ceil(total / limit);
+    }
+
+    return { data, total, pagination };
+};
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    find
+};
@@ -0,0 +1,143 @@
+// Recurrence rule helpers for appointment series
+// Supports the RRULE subset used by the clinic: FREQ (DAILY/WEEKLY/MONTHLY),
+// INTERVAL, BYDAY (weekly only), COUNT and UNTIL
+
+const { WEEKDAYS, getZonedParts, zonedTimeToUtc } = require('./time-zone');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const RRULE_DAYS = { SU: 'sunday', MO: 'monday', TU: 'tuesday', WE: 'wednesday', TH: 'thursday', FR: 'friday', SA: 'saturday' };
+const MAX_OCCURRENCES = 104;
+
+/**
+ * Parse an RRULE string such as "FREQ=WEEKLY;BYDAY=MO,WE,FR;COUNT=12"
+ * into the rule object stored on an AppointmentSeries
+ */
+const parseRRule = (value) => {
+    const rule = {};
+
+    value.replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+        const [key, raw] = part.split('=');
+        const name = (key || '').toUpperCase();
+
+        if (name === 'FREQ') rule.frequency = (raw || '').toLowerCase();
+        else if (name === 'INTERVAL') rule.interval = parseInt(raw);
+        else if (name === 'COUNT') rule.count = parseInt(raw);
+        else if (name === 'UNTIL') rule.until = parseRRuleDate(raw);
+        else if (name === 'BYDAY') rule.by_day = (raw || '').split(',').map(day => RRULE_DAYS[day.toUpperCase()]);
+    });
+
+    return rule;
+};
+
+const parseRRuleDate = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value || '');
+    if (!match) return new Date(value);
+
+    const [, year, month, day, hour = '23', minute = '59', second = '59'] = match;
+    return new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute, +second));
+};
+
+/**
+ * Normalise a rule given either as an RRULE string or as an object
+ * Returns { rule } on success or { error } describing the first problem
+ */
+const normalizeRule = (input) => {
+    const rule = typeof input === 'string' ? parseRRule(input) : { ...input };
+
+    rule.frequency = (rule.frequency || '').toLowerCase();
+    rule.interval = rule.interval ? parseInt(rule.interval) : 1;
+
+    if (!FREQUENCIES.includes(rule.frequency)) {
+        return { error: `Frequency must be one of ${FREQUENCIES.join(', ')}` };
+    }
+    if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+        return { error: 'Interval must be a positive number' };
+    }
+    if (rule.count !== undefined && rule.count !== null) {
+        rule.count = parseInt(rule.count);
+        if (!Number.isInteger(rule.count) || rule.count < 1) {
+            return { error: 'Count must be a positive number' };
+        }
+    }
+    if (rule.until) {
+        rule.until = new Date(rule.until);
+        if (isNaN(rule.until.getTime())) {
+            return { error: 'Until must be a valid date' };
+        }
+    }
+    if (!rule.count && !rule.until) {
+        return { error: 'Recurrence needs either a count or an until date' };
+    }
+    if (rule.by_day && rule.by_day.length > 0) {
+        if (rule.frequency !== 'weekly') {
+            return { error: 'By day is only supported for weekly recurrence' };
+        }
+        rule.by_day = rule.by_day.map(day => (day || '').toLowerCase());
+        if (rule.by_day.some(day => !WEEKDAYS.includes(day))) {
+            return { error: 'By day contains an invalid weekday' };
+        }
+    } else {
+        delete rule.by_day;
+    }
+
+    return { rule };
+};
+
+/**
+ * Expand a normalised rule into occurrence start times
+ * Occurrences keep the wall-clock time of startTime in timeZone, so a
+ * 09:00 weekly visit stays at 09:00 across daylight saving changes
+ */
+const expandOccurrences = (rule, startTime, timeZone = 'UTC') => {
+    const start = getZonedParts(startTime, timeZone);
+    // Wall-clock times are rebuilt to the minute; carry the seconds over so
+    // the first occurrence is startTime itself rather than just before it
+    const subMinuteMs = startTime.getTime() % (60 * 1000);
+    const limit = Math.min(rule.count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+    const occurrences = [];
+
+    const push = (year, month, day) => {
+        const occurrence = new Date(zonedTimeToUtc(year, month, day, start.hour, start.minute, timeZone).getTime() + subMinuteMs);
+        if (occurrence < startTime) return true;
+        if (rule.until && occurrence > rule.until) return false;
+
+        occurrences.push(occurrence);
+        return occurrences.length < limit;
+    };
+
+    if (rule.frequency === 'daily') {
+        for (let i = 0; ; i += rule.interval) {
+            if (!push(start.year, start.month, start.day + i)) break;
+        }
+    } else if (rule.frequency === 'weekly') {
+        const days = (rule.by_day || [start.weekday])
+            .map(day => (WEEKDAYS.indexOf(day) + 6) % 7)
+            .sort((a, b) => a - b);
+        const mondayOffset = (WEEKDAYS.indexOf(start.weekday) + 6) % 7;
+
+        for (let week = 0; ; week += rule.interval) {
+            const keepGoing = days.every(offset =>
+                push(start.year, start.month, start.day - mondayOffset + week * 7 + offset)
+            );
+            if (!keepGoing) break;
+        }
+    } else {
+        for (let i = 0; i < MAX_OCCURRENCES * rule.interval; i += rule.interval) {
+            // Skip months that do not contain the start day (e.g. the 31st)
+            const candidate = new Date(Date.UTC(start.year, start.month - 1 + i, start.day));
+            if (candidate.getUTCDate() !== start.day) continue;
+
+            if (!push(candidate.getUTCFullYear(), candidate.getUTCMonth() + 1, candidate.getUTCDate())) break;
+        }
+    }
+
+    return occurrences;
+};
+
+module.exports = {
+    FREQUENCIES,
+    MAX_OCCURRENCES,
+    parseRRule,
+    normalizeRule,
+    expandOccurrences
+};
@@ -0,0 +1,90 @@
+// Search helpers shared by the model search statics
+// User input is never compiled as a pattern: terms are escaped and anchored
+// so every regex is a prefix match that can walk an index.
+
+const MAX_TERM_LENGTH = 100;
+
+/**
+ * Escape every regex metacharacter in a string
+ */
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Anchored prefix pattern for a literal string
+ */
+const prefixRegex = (value) => new RegExp(`^${escapeRegex(value)}`);
+
+const normalizeTerm = (term) => String(term || '').trim().replace(/\s+/g, ' ').slice(0, MAX_TERM_LENGTH);
+
+const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '');
+
+// Document numbers as services/numbering formats them: an upper-case prefix
+// (or tenant slug) and a dash, e.g. "INV-" typed before the digits
+const NUMBER_PATTERN = /^[A-Z0-9]{1,10}-/;
+
+// Identifiers (record numbers, phones, emails) contain a digit or "@", or
+// match the model's number pattern; hyphenated names stay free text
+const looksLikeIdentifier = (term, pattern = null) => /[\d@]/.test(term) || (!!pattern && pattern.test(term));
+
+/**
+ * Parse a date of birth typed as YYYY-MM-DD or DD/MM/YYYY into a UTC day range
+ */
+const parseDateTerm = (term) => {
+    let match = term.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    let parts = match && { year: match[1], month: match[2], day: match[3] };
+
+    if (!parts) {
+        match = term.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/);
+        parts = match && { year: match[3], month: match[2], day: match[1] };
+    }
+    if (!parts) return null;
+
+    const start = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+    if (isNaN(start.getTime()) || start.getUTCDate() !== parseInt(parts.day)) return null;
+
+    return { start, end: new Date(start.getTime() + 24 * 60 * 60 * 1000) };
+};
+
+/**
+ * Prefix clause matching a field as typed, upper-cased or lower-cased, so
+ * case-sensitive (index-friendly) regexes still find stored identifiers
+ */
+const identifierClause = (field, term) => ({
+    [field]: { $in: [...new Set([term, term.toUpperCase(), term.toLowerCase()])].map(prefixRegex) }
+});
+
+/**
+ * Search a model within baseFilter. Identifier-like terms (see
+ * looksLikeIdentifier, with identifierPattern as the number pattern)
+ * prefix-match the given identifier fields; other terms use the collection's
+ * text index, best matches first. Returns a query so callers can populate or sort.
+ */
+const find = (Model, baseFilter, searchTerm, { identifiers = [], identifierPattern = null } = {}) => {
+    const term = normalizeTerm(searchTerm);
+    if (!term) {
+        return Model.find({ ...baseFilter, _id: null });
+    }
+
+    if (looksLikeIdentifier(term, identifierPattern) && identifiers.length > 0) {
+        return Model.find({
+            ...baseFilter,
+            $or: identifiers.map(field => identifierClause(field, term))
+        });
+    }
+
+    return Model.find({ ...baseFilter, $text: { $search: term } })
+        .sort({ score: { $meta: 'textScore' } });
+};
+
+module.exports = {
+    MAX_TERM_LENGTH,
+    NUMBER_PATTERN,
+    escapeRegex,
+    prefixRegex,
+    normalizeTerm,
+    normalizePhone,
+    looksLikeIdentifier,
+    parseDateTerm,
+    identifierClause,
+    find
+};
@@ -0,0 +1,144 @@
+// Time zone helpers for working with clinic-local wall-clock times
+// Relies on Intl so no external time zone database is needed
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+/**
+ * Check whether a time zone name is understood by the runtime
+ */
+const isValidTimeZone = (timeZone) => {
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Break a UTC instant into the calendar parts seen on a wall clock in timeZone
+ */
+const getZonedParts = (date, timeZone) => {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(date).forEach(part => {
+        parts[part.type] = part.value;
+    });
+
+    const year = parseInt(parts.year);
+    const month = parseInt(parts.month);
+    const day = parseInt(parts.day);
+
+    return {
+        year,
+        month,
+        day,
+        hour: parseInt(parts.hour),
+        minute: parseInt(parts.minute),
+        second: parseInt(parts.second),
+        weekday: WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()]
+    };
+};
+
+/**
+ * Offset of timeZone from UTC at the given instant, in minutes
+ */
+const getOffsetMinutes = (date, timeZone) => {
+    const parts = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / (60 * 1000));
+};
+
+/**
+ * Convert a wall-clock time in timeZone to a UTC Date
+ * Month is 1-based; day and minute overflow roll over as with Date.UTC
+ */
+const zonedTimeToUtc = (year, month, day, hour, minute, timeZone) => {
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+    const offset = getOffsetMinutes(new Date(guess), timeZone);
+    let result = guess - offset * 60 * 1000;
+
+    // Re-check the offset at the candidate instant to handle DST boundaries
+    const correctedOffset = getOffsetMinutes(new Date(result), timeZone);
+    if (correctedOffset !== offset) {
+        result = guess - correctedOffset * 60 * 1000;
+    }
+
+    return new Date(result);
+};
+
+/**
+ * Parse an "HH:mm" working-hours string into hours and minutes
+ */
+const parseClockTime = (value) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+    if (!match) return null;
+
+    const hour = parseInt(match[1]);
+    const minute = parseInt(match[2]);
+    if (hour > 24 || minute > 59) return null;
+
+    return { hour, minute };
+};
+
+/**
+ * List the local calendar days in timeZone touched by the range [from, to]
+ */
+const getZonedDays = (from, to, timeZone) => {
+    const start = getZonedParts(from, timeZone);
+    const end = getZonedParts(to, timeZone);
+    const endKey = Date.UTC(end.year, end.month - 1, end.day);
+
+    const days = [];
+    for (let i = 0; ; i++) {
+        const current = new Date(Date.UTC(start.year, start.month - 1, start.day + i));
+        if (current.getTime() > endKey) break;
+
+        days.push({
+            year: current.getUTCFullYear(),
+            month: current.getUTCMonth() + 1,
+            day: current.getUTCDate(),
+            weekday: WEEKDAYS[current.getUTCDay()]
+        });
+    }
+
+    return days;
+};
+
+/**
+ * An instant as people read it in messages, e.g. "Monday, 3 March 2025 at 09:30"
+ * for en-GB. The time zone of the clinic (or tenant) and the tenant's locale.
+ */
+const formatDateTime = (date, timeZone, locale = 'en-US') => date.toLocaleString(locale, {
+    timeZone,
+    dateStyle: 'full',
+    timeStyle: 'short'
+});
+
+module.exports = {
+    WEEKDAYS,
+    isValidTimeZone,
+    getZonedParts,
+    getOffsetMinutes,
+    zonedTimeToUtc,
+    parseClockTime,
+    getZonedDays,
+    formatDateTime
+};
@@ -0,0 +1,39 @@
+// MongoDB transactions
+// Transactions need MongoDB running as a replica set (a single-node one is
+// enough). A standalone server rejects them; that is reported as a 503 rather
+// than a generic server error so the setup problem is obvious.
+
+const mongoose = require('mongoose');
+
+const { httpError } = require('./http-error');
+
+const isReplicaSetRequired = (error) => !!error && typeof error.message === 'string' &&
+    error.message.includes('Transaction numbers are only allowed on a replica set member');
+
+/**
+ * Run work(session) in one transaction and return what it returns.
+ * Every write inside must pass the session.
+ */
+const withTransaction = async (work) => {
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await work(session);
+        });
+        return result;
+    } catch (error) {
+        if (isReplicaSetRequired(error)) {
+            console.error('MongoDB is not running as a replica set; transactions are unavailable. See MONGODB_SETUP_GUIDE.md');
+            throw httpError(503, 'Database is not configured for transactions');
+        }
+        throw error;
+    } finally {
+        await session.endSession();
+    }
+};
+
+module.exports = {
+    isReplicaSetRequired,
+    withTransaction
+};